@@ -0,0 +1,226 @@
+const COLOR = '#ff3b30';
+const LINE_WIDTH = 0.004;       // Relative to the image width, so annotations look alike at every resolution
+const FONT_SIZE = 0.03;         // Relative to the image width
+const MIN_SHAPE_SIZE = 0.01;    // Drags shorter than this share of the image width are ignored
+const JPEG_QUALITY = 0.85;      // Higher than the video frames, so thin lines and notes stay legible
+
+/**
+ * Editor for a frozen camera or screen frame, shown in the #annotateSection overlay.
+ * The user draws arrows and boxes or places notes on the frame and types a question; the
+ * annotated image and the question are handed to onSend together.
+ */
+export class AnnotationEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onSend - Called with (base64image, question), may return a promise
+     */
+    constructor({ onSend }) {
+        this.onSend = onSend;
+        this.section = document.getElementById('annotateSection');
+        this.canvas = document.getElementById('annotateCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.questionInput = document.getElementById('annotateQuestion');
+        this.sendButton = document.getElementById('annotateSend');
+        this.undoButton = document.getElementById('annotateUndo');
+        this.toolButtons = this.section.querySelectorAll('[data-tool]');
+
+        this.frame = null;
+        this.shapes = [];
+        this.tool = 'arrow';
+        this.draft = null;
+
+        this.toolButtons.forEach((button) => {
+            button.addEventListener('click', () => this.selectTool(button.dataset.tool));
+        });
+        this.undoButton.addEventListener('click', () => {
+            this.shapes.pop();
+            this.render();
+        });
+        this.sendButton.addEventListener('click', () => this.send());
+        this.questionInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.send();
+            }
+        });
+        this.questionInput.addEventListener('input', () => this.updateSendButton());
+
+        this.canvas.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        this.canvas.addEventListener('pointerup', (event) => this.onPointerUp(event));
+        this.canvas.addEventListener('pointercancel', () => {
+            this.draft = null;
+            this.render();
+        });
+    }
+
+    /**
+     * Opens the editor with a frozen frame
+     * @param {HTMLCanvasElement} frame - The frame, e.g. from CameraManager.snapshot()
+     */
+    show(frame) {
+        this.frame = frame;
+        this.shapes = [];
+        this.draft = null;
+        this.canvas.width = frame.width;
+        this.canvas.height = frame.height;
+        this.questionInput.value = '';
+        this.selectTool(this.tool);
+        this.updateSendButton();
+        this.render();
+
+        this.section.classList.add('active');
+        this.questionInput.focus();
+    }
+
+    hide() {
+        this.section.classList.remove('active');
+        this.frame = null;
+    }
+
+    /**
+     * @param {string} tool - 'arrow', 'box' or 'text'
+     */
+    selectTool(tool) {
+        this.tool = tool;
+        this.toolButtons.forEach((button) => button.classList.toggle('active', button.dataset.tool === tool));
+    }
+
+    updateSendButton() {
+        this.sendButton.disabled = !this.questionInput.value.trim();
+    }
+
+    /**
+     * Sends the annotated frame with the question and closes the editor
+     */
+    async send() {
+        const question = this.questionInput.value.trim();
+        if (!question || !this.frame) return;
+
+        this.sendButton.disabled = true;
+        try {
+            const image = this.canvas.toDataURL('image/jpeg', JPEG_QUALITY).split(',')[1];
+            await this.onSend(image, question);
+            this.hide();
+        } catch (error) {
+            console.error('Failed to send annotated image:', error);
+            alert(error.message);
+            this.updateSendButton();
+        }
+    }
+
+    /**
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number}} Position in image pixels
+     */
+    toImage(event) {
+        const bounds = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - bounds.left) * this.canvas.width / bounds.width,
+            y: (event.clientY - bounds.top) * this.canvas.height / bounds.height
+        };
+    }
+
+    onPointerDown(event) {
+        if (event.button !== 0 || !this.frame) return;
+        const point = this.toImage(event);
+
+        if (this.tool === 'text') {
+            const text = prompt('Note');
+            if (text && text.trim()) {
+                this.shapes.push({ type: 'text', x1: point.x, y1: point.y, text: text.trim() });
+                this.render();
+            }
+            return;
+        }
+
+        this.draft = { type: this.tool, x1: point.x, y1: point.y, x2: point.x, y2: point.y };
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    onPointerMove(event) {
+        if (!this.draft) return;
+        const point = this.toImage(event);
+        this.draft.x2 = point.x;
+        this.draft.y2 = point.y;
+        this.render();
+    }
+
+    onPointerUp(event) {
+        if (!this.draft) return;
+        this.onPointerMove(event);
+        const { x1, y1, x2, y2 } = this.draft;
+        if (Math.hypot(x2 - x1, y2 - y1) >= this.canvas.width * MIN_SHAPE_SIZE) {
+            this.shapes.push(this.draft);
+        }
+        this.draft = null;
+        this.render();
+    }
+
+    /**
+     * Draws the frame with all annotations and the one being dragged
+     */
+    render() {
+        if (!this.frame) return;
+        this.ctx.drawImage(this.frame, 0, 0);
+
+        const lineWidth = Math.max(2, this.canvas.width * LINE_WIDTH);
+        this.ctx.strokeStyle = COLOR;
+        this.ctx.fillStyle = COLOR;
+        this.ctx.lineWidth = lineWidth;
+        this.ctx.lineCap = 'round';
+        this.ctx.lineJoin = 'round';
+
+        for (const shape of this.draft ? [...this.shapes, this.draft] : this.shapes) {
+            switch (shape.type) {
+                case 'arrow':
+                    this.drawArrow(shape, lineWidth);
+                    break;
+                case 'box':
+                    this.ctx.strokeRect(shape.x1, shape.y1, shape.x2 - shape.x1, shape.y2 - shape.y1);
+                    break;
+                case 'text':
+                    this.drawNote(shape);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * @param {{x1: number, y1: number, x2: number, y2: number}} shape - Arrow from (x1, y1) to its head at (x2, y2)
+     * @param {number} lineWidth - Width of the shaft
+     */
+    drawArrow({ x1, y1, x2, y2 }, lineWidth) {
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const headLength = lineWidth * 5;
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(x1, y1);
+        this.ctx.lineTo(x2, y2);
+        this.ctx.stroke();
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(x2, y2);
+        this.ctx.lineTo(x2 - headLength * Math.cos(angle - Math.PI / 6), y2 - headLength * Math.sin(angle - Math.PI / 6));
+        this.ctx.lineTo(x2 - headLength * Math.cos(angle + Math.PI / 6), y2 - headLength * Math.sin(angle + Math.PI / 6));
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
+    /**
+     * @param {{x1: number, y1: number, text: string}} shape - Note with its top left corner at (x1, y1)
+     */
+    drawNote({ x1, y1, text }) {
+        const fontSize = Math.max(12, Math.round(this.canvas.width * FONT_SIZE));
+        const padding = Math.round(fontSize / 4);
+        this.ctx.font = `bold ${fontSize}px sans-serif`;
+        this.ctx.textBaseline = 'top';
+        const width = this.ctx.measureText(text).width;
+
+        // White background, so the note is readable on any content
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.fillRect(x1, y1, width + padding * 2, fontSize + padding * 2);
+        this.ctx.fillStyle = COLOR;
+        this.ctx.fillText(text, x1 + padding, y1 + padding);
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Debug overlay with the live playback metrics of an AudioStreamer: how much audio is buffered
+ * against the jitter buffer's target, the measured jitter, the latency buffering adds and the
+ * number of underruns, i.e. audible gaps.
+ */
+export class PlaybackStatsOverlay {
+    /**
+     * @param {Function} getStreamer - Returns the AudioStreamer to show, e.g. the one of the active
+     *   session, or null while there is none
+     * @param {number} [refreshInterval=250] - Time in ms between updates
+     */
+    constructor(getStreamer, refreshInterval = 250) {
+        this.getStreamer = getStreamer;
+        this.refreshInterval = refreshInterval;
+        this.element = null;
+        this.timer = null;
+    }
+
+    show() {
+        if (this.element) return;
+        this.element = document.createElement('div');
+        this.element.className = 'playback-stats-overlay';
+        document.body.appendChild(this.element);
+
+        this.update();
+        this.timer = setInterval(() => this.update(), this.refreshInterval);
+    }
+
+    hide() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.element?.remove();
+        this.element = null;
+    }
+
+    update() {
+        const metrics = this.getStreamer()?.getMetrics();
+        if (!metrics) {
+            this.element.textContent = 'Audio playback: not started';
+            return;
+        }
+
+        this.element.textContent = [
+            `Audio playback: ${metrics.isPlaying ? 'playing' : 'buffering'}`,
+            `Buffered  ${metrics.bufferedMs} ms (target ${metrics.targetMs} ms)`,
+            `Jitter    ${metrics.jitterMs} ms`,
+            `Latency   ${metrics.latencyMs} ms`,
+            `Underruns ${metrics.underruns}`,
+            `Chunks    ${metrics.chunksReceived}`
+        ].join('\n');
+        this.element.classList.toggle('underrun', metrics.underruns > 0);
+    }
+}
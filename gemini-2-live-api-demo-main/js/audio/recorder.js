@@ -1,9 +1,18 @@
 import { arrayBufferToBase64 } from '../utils/utils.js';
 
+const SILENCE_THROTTLE_INTERVAL = 1000;    // ms between silent chunks in 'throttle' mode
+
 /**
  * AudioRecorder manages the capture and processing of audio input from the user's microphone.
  * It uses the Web Audio API and AudioWorklet to process audio in real-time with minimal latency.
  * The processed audio is converted to base64-encoded Int16 format suitable for transmission.
+ * The worklet's voice activity detection is dispatched as 'speech_start' and 'speech_end' events.
+ * Every chunk of the worklet is also dispatched as an 'audio_chunk' CustomEvent with the chunk as detail,
+ * whatever happens to it afterwards, so the whole microphone audio can be recorded.
+ * Chunks without speech are handled according to the silent audio mode:
+ * - 'send': every chunk is passed on
+ * - 'throttle': one silent chunk per second is passed on, so the stream never goes quiet completely
+ * - 'drop': silent chunks are dropped, except the one right before speech starts so its onset is kept
  */
 export class AudioRecorder extends EventTarget {
     /**
@@ -20,42 +29,55 @@ export class AudioRecorder extends EventTarget {
         this.onAudioData = null;         // Callback for processed audio chunks
         this.isRecording = false;        // Recording state flag
         this.isSuspended = false;        // Mic suspension state
+        this.isSpeaking = false;         // Whether the voice activity detection hears speech
+        this.silentAudio = 'send';       // What happens to chunks without speech: 'send', 'throttle' or 'drop'
+        this.lastSilentChunk = null;     // Latest dropped chunk, sent when speech starts
+        this.lastSilentChunkSentAt = 0;
+        this.deviceId = '';              // Microphone to record, '' for the default
+        this.vad = {};                   // Overrides of the worklet's voice activity detection settings
     }
 
     /**
      * Initializes and starts audio capture pipeline
      * Sets up audio context, worklet processor, and media stream
      * @param {Function} onAudioData - Callback receiving base64-encoded audio chunks
+     * @param {Object} [options]
+     * @param {string} [options.silentAudio='send'] - 'send', 'throttle' or 'drop' chunks without speech
+     * @param {Object} [options.vad] - Overrides of the worklet's voice activity detection settings
+     * @param {string} [options.deviceId=''] - Microphone to record, '' for the default
      */
-    async start(onAudioData) {
+    async start(onAudioData, { silentAudio = 'send', vad = {}, deviceId = '' } = {}) {
         this.onAudioData = onAudioData;
+        this.silentAudio = silentAudio;
+        this.vad = vad;
+        this.deviceId = deviceId;
         try {
-            // Request microphone access with specific echo cancelation and noise reduction
-            this.stream = await navigator.mediaDevices.getUserMedia({ 
-                audio: {
-                    channelCount: 1,
-                    sampleRate: this.sampleRate,
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                } 
-            });
+            this.stream = await this.getMicrophoneStream();
             
             // Initialize Web Audio API context and nodes
-            this.audioContext = new AudioContext({ sampleRate: this.sampleRate });
-            this.source = this.audioContext.createMediaStreamSource(this.stream);
+            this.createAudioSource();
 
-            // Load and initialize audio processing worklet
+            // Load and initialize audio processing worklet, it resamples to this.sampleRate if the context runs at another rate
             await this.audioContext.audioWorklet.addModule('js/audio/worklets/audio-processor.js');
-            this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet');
+            this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet', {
+                processorOptions: { vad, targetSampleRate: this.sampleRate }
+            });
             
-            // Handle processed audio chunks from worklet
+            // Handle processed audio chunks and voice activity from worklet
             this.processor.port.onmessage = (event) => {
                 if (!this.isRecording) return;
-                
-                if (event.data.event === 'chunk' && this.onAudioData) {
-                    const base64Data = arrayBufferToBase64(event.data.data.int16arrayBuffer);
-                    this.onAudioData(base64Data);
+
+                switch (event.data.event) {
+                    case 'chunk':
+                        this.dispatchEvent(new CustomEvent('audio_chunk', { detail: event.data.data }));
+                        this.handleChunk(event.data.data);
+                        break;
+                    case 'speech_start':
+                        this.setSpeaking(true);
+                        break;
+                    case 'speech_end':
+                        this.setSpeaking(false);
+                        break;
                 }
             };
 
@@ -68,6 +90,114 @@ export class AudioRecorder extends EventTarget {
         }
     }
 
+    /**
+     * Requests microphone access with specific echo cancelation and noise reduction
+     * @returns {Promise<MediaStream>} Stream of the selected microphone
+     */
+    getMicrophoneStream() {
+        return navigator.mediaDevices.getUserMedia({
+            audio: {
+                ...(this.deviceId && { deviceId: { exact: this.deviceId } }),
+                channelCount: 1,
+                sampleRate: this.sampleRate,
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            }
+        });
+    }
+
+    /**
+     * Switches to another microphone while recording. The new stream is connected to the
+     * existing worklet, so the audio continues without gaps in the chunks or their settings.
+     * @param {string} deviceId - Microphone to record, '' for the default
+     */
+    async switchDevice(deviceId) {
+        this.deviceId = deviceId;
+        if (!this.isRecording) return;
+
+        const stream = await this.getMicrophoneStream();
+        let source;
+        try {
+            source = this.audioContext.createMediaStreamSource(stream);
+        } catch (error) {
+            // Firefox cannot connect a device running at another rate, start over with a new context
+            console.warn('Cannot connect the microphone to the running audio context, restarting the recording:', error);
+            stream.getTracks().forEach(track => track.stop());
+            const wasSuspended = this.isSuspended;
+            this.stop();
+            this.isSuspended = false;
+            await this.start(this.onAudioData, { silentAudio: this.silentAudio, vad: this.vad, deviceId });
+            if (wasSuspended) await this.suspendMic();
+            return;
+        }
+
+        this.source.disconnect();
+        source.connect(this.processor);
+        this.stream.getTracks().forEach(track => track.stop());
+        stream.getTracks().forEach(track => track.enabled = !this.isSuspended);
+        this.stream = stream;
+        this.source = source;
+        this.setSpeaking(false);
+        console.info('Microphone switched', { deviceId: deviceId || 'default' });
+    }
+
+    /**
+     * Creates the audio context and the source node of the microphone stream.
+     * The context asks for this.sampleRate, but some browsers ignore that, and Firefox cannot connect a
+     * stream to a context running at another rate than the device, so the device's rate is used then.
+     */
+    createAudioSource() {
+        this.audioContext = new AudioContext({ sampleRate: this.sampleRate });
+        try {
+            this.source = this.audioContext.createMediaStreamSource(this.stream);
+        } catch (error) {
+            console.warn(`Cannot capture the microphone at ${this.sampleRate} Hz, resampling instead:`, error);
+            this.audioContext.close();
+            this.audioContext = new AudioContext();
+            this.source = this.audioContext.createMediaStreamSource(this.stream);
+        }
+        if (this.audioContext.sampleRate !== this.sampleRate) {
+            console.info(`Resampling microphone audio from ${this.audioContext.sampleRate} Hz to ${this.sampleRate} Hz`);
+        }
+    }
+
+    /**
+     * Passes a chunk on to the callback, unless the silent audio mode holds it back
+     * @param {Object} chunk - { int16arrayBuffer, speech } from the worklet
+     */
+    handleChunk({ int16arrayBuffer, speech }) {
+        if (!this.onAudioData) return;
+
+        if (!speech && this.silentAudio !== 'send') {
+            const now = Date.now();
+            if (this.silentAudio === 'throttle' && now - this.lastSilentChunkSentAt >= SILENCE_THROTTLE_INTERVAL) {
+                this.lastSilentChunkSentAt = now;
+                this.onAudioData(arrayBufferToBase64(int16arrayBuffer));
+            } else {
+                this.lastSilentChunk = int16arrayBuffer;
+            }
+            return;
+        }
+
+        // The chunk before speech started may contain its onset
+        if (this.lastSilentChunk) {
+            this.onAudioData(arrayBufferToBase64(this.lastSilentChunk));
+            this.lastSilentChunk = null;
+        }
+        this.onAudioData(arrayBufferToBase64(int16arrayBuffer));
+    }
+
+    /**
+     * Updates the speaking state and dispatches 'speech_start' or 'speech_end' when it changes
+     * @param {boolean} speaking - Whether speech is heard
+     */
+    setSpeaking(speaking) {
+        if (this.isSpeaking === speaking) return;
+        this.isSpeaking = speaking;
+        this.dispatchEvent(new Event(speaking ? 'speech_start' : 'speech_end'));
+    }
+
     /**
      * Gracefully stops audio recording and cleans up resources
      * Stops media tracks and logs the operation completion
@@ -84,6 +214,8 @@ export class AudioRecorder extends EventTarget {
                 this.stream = null;
             }
 
+            this.setSpeaking(false);
+            this.lastSilentChunk = null;
             this.isRecording = false;
             console.info('Audio recording stopped');
 
@@ -105,6 +237,7 @@ export class AudioRecorder extends EventTarget {
             await this.audioContext.suspend();
             this.stream.getTracks().forEach(track => track.enabled = false);
             this.isSuspended = true;
+            this.setSpeaking(false);
             console.info('Microphone suspended');
         } catch (error) {
             throw new Error('Failed to suspend microphone:' + error);
@@ -1,11 +1,23 @@
 /**
  * AudioStreamer manages real-time audio playback from a stream of PCM audio chunks.
- * It implements a sophisticated buffering system to ensure smooth playback while
- * handling network jitter and maintaining low latency. The streamer uses Web Audio API
+ * It implements an adaptive jitter buffer to ensure smooth playback while handling
+ * network jitter and keeping the latency low. The streamer uses Web Audio API
  * for precise timing and efficient audio scheduling.
+ *
+ * Playback starts once enough audio is buffered to ride out late chunks. How much that is follows
+ * from how late chunks arrive compared to the audio received before them: the target buffer is the
+ * mean lateness plus JITTER_DEVIATIONS standard deviations. When the buffer runs dry before the
+ * stream is complete, that is counted as an underrun and playback waits for the target again.
  */
 import { MODEL_SAMPLE_RATE } from '../config/config.js';
 
+const MIN_BUFFER_TIME = 0.04;       // Seconds buffered before playback starts, at least
+const MAX_BUFFER_TIME = 0.5;        // and at most, whatever the jitter
+const INITIAL_BUFFER_TIME = 0.1;    // Target until chunk arrivals have been measured
+const JITTER_DEVIATIONS = 3;        // Standard deviations of the lateness that the buffer covers
+const JITTER_SMOOTHING = 1 / 16;    // Weight of a new measurement in the moving lateness statistics
+const SCHEDULE_AHEAD_TIME = 0.2;    // Look-ahead window in seconds
+
 export class AudioStreamer {
     /**
      * Creates an AudioStreamer instance with the specified audio context
@@ -16,26 +28,38 @@ export class AudioStreamer {
             throw new Error('Invalid AudioContext provided', { context });
         }
         this.context = context;
-        this.audioQueue = [];                           // Queue of audio chunks waiting to be played
-        this.isPlaying = false;                         // Playback state
+        this.audioQueue = [];                           // Chunks waiting to be scheduled, as { samples, arrivedAt }
+        this.queuedSamples = 0;                         // Samples in audioQueue
+        this.isPlaying = false;                         // Playback state, false while buffering
         this._sampleRate = MODEL_SAMPLE_RATE;           // Use configured sample rate
-        this.bufferSize = Math.floor(this._sampleRate * 0.32);  // Buffer size (320ms based on sample rate)
-        this.processingBuffer = new Float32Array(0);    // Accumulator for incomplete chunks
         this.scheduledTime = 0;                         // Next scheduled audio playback time
         this.gainNode = this.context.createGain();      // Volume control node
         this.isStreamComplete = false;                  // Stream completion flag
-        this.checkInterval = null;                      // Interval for checking buffer state
-        this.initialBufferTime = 0.05;                  // Initial buffering delay (50ms)
         this.isInitialized = false;                     // Initialization state
-        this.endOfQueueAudioSource = null;              // Last audio source in queue
         this.scheduledSources = new Set();              // Track active audio sources
-        
+        this.scheduleTimer = null;                      // Timeout of the next scheduler run
+        this.bufferingTimer = null;                     // Timeout after which buffering gives up waiting
+
+        // Jitter measurement: lateness of each chunk compared to the chunk playback was anchored to
+        this.anchorTime = null;                         // Arrival time of the anchor chunk
+        this.mediaTime = 0;                             // Seconds of audio received since the anchor chunk
+        this.reanchor = false;                          // After an underrun, the next chunk becomes the anchor
+        this.latenessMean = null;
+        this.latenessVariance = 0;
+
+        // Playback metrics
+        this.underruns = 0;
+        this.chunksReceived = 0;
+        this.latency = 0;                               // Seconds from arrival to output of the chunk playback started with
+        this.measureLatency = false;
+
         // Connect gain node to audio output
         this.gainNode.connect(this.context.destination);
         console.info('AudioStreamer initialized', { sampleRate: this._sampleRate });
-        
+
         // Bind methods
         this.streamAudio = this.streamAudio.bind(this);
+        this.scheduleNextBuffer = this.scheduleNextBuffer.bind(this);
     }
 
     /**
@@ -47,7 +71,7 @@ export class AudioStreamer {
     }
 
     /**
-     * Sets a new sample rate and adjusts buffer size accordingly
+     * Sets a new sample rate
      * @param {number} value - New sample rate in Hz
      */
     set sampleRate(value) {
@@ -56,8 +80,26 @@ export class AudioStreamer {
             return;
         }
         this._sampleRate = value;
-        this.bufferSize = Math.floor(value * 0.32);  // 320ms buffer
-        console.info('Sample rate updated', { newRate: value, newBufferSize: this.bufferSize });
+        console.info('Sample rate updated', { newRate: value });
+    }
+
+    /**
+     * Seconds of audio the jitter buffer holds before playback starts
+     * @returns {number}
+     */
+    get targetBufferTime() {
+        if (this.latenessMean === null) return INITIAL_BUFFER_TIME;
+        const target = this.latenessMean + JITTER_DEVIATIONS * Math.sqrt(this.latenessVariance);
+        return Math.min(MAX_BUFFER_TIME, Math.max(MIN_BUFFER_TIME, target));
+    }
+
+    /**
+     * Seconds of audio received but not played yet, queued or scheduled
+     * @returns {number}
+     */
+    get bufferedTime() {
+        const scheduled = this.isPlaying ? Math.max(0, this.scheduledTime - this.context.currentTime) : 0;
+        return this.queuedSamples / this.sampleRate + scheduled;
     }
 
     /**
@@ -77,47 +119,105 @@ export class AudioStreamer {
 
         try {
             // Convert Int16 samples to Float32 format
-            const float32Array = new Float32Array(chunk.length / 2);
-            const dataView = new DataView(chunk.buffer);
-
-            for (let i = 0; i < chunk.length / 2; i++) {
-                const int16 = dataView.getInt16(i * 2, true);
-                float32Array[i] = int16 / 32768;  // Scale to [-1.0, 1.0] range
-            }
+            const sampleCount = Math.floor(chunk.byteLength / 2);
+            const samples = new Float32Array(sampleCount);
+            const dataView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
 
-            // Limit processing buffer size to prevent memory issues
-            if (this.processingBuffer.length > this.bufferSize * 4) {
-                console.warn('Processing buffer overflow, resetting', { 
-                    bufferSize: this.processingBuffer.length,
-                    maxSize: this.bufferSize * 4 
-                });
-                this.processingBuffer = new Float32Array(0);
+            for (let i = 0; i < sampleCount; i++) {
+                samples[i] = dataView.getInt16(i * 2, true) / 32768;  // Scale to [-1.0, 1.0] range
             }
 
-            // Accumulate samples in processing buffer
-            const newBuffer = new Float32Array(this.processingBuffer.length + float32Array.length);
-            newBuffer.set(this.processingBuffer);
-            newBuffer.set(float32Array, this.processingBuffer.length);
-            this.processingBuffer = newBuffer;
-
-            // Split processing buffer into playable chunks
-            while (this.processingBuffer.length >= this.bufferSize) {
-                const buffer = this.processingBuffer.slice(0, this.bufferSize);
-                this.audioQueue.push(buffer);
-                this.processingBuffer = this.processingBuffer.slice(this.bufferSize);
-            }
+            const arrivedAt = this.context.currentTime;
+            this.measureArrival(arrivedAt, sampleCount / this.sampleRate);
+            this.audioQueue.push({ samples, arrivedAt });
+            this.queuedSamples += sampleCount;
+            this.chunksReceived++;
+            this.isStreamComplete = false;
 
-            // Start playback if not already playing
-            if (!this.isPlaying) {
-                this.isPlaying = true;
-                this.scheduledTime = this.context.currentTime + this.initialBufferTime;
+            if (this.isPlaying) {
                 this.scheduleNextBuffer();
+            } else {
+                this.startWhenBuffered();
             }
         } catch (error) {
             throw new Error('Error processing audio chunk:' + error);
         }
     }
 
+    /**
+     * Updates the lateness statistics with an arriving chunk. A chunk is late by the time it arrives
+     * after the audio received since the anchor chunk would have been played from the anchor's arrival.
+     * @param {number} arrivedAt - Context time of the arrival
+     * @param {number} duration - Seconds of audio in the chunk
+     */
+    measureArrival(arrivedAt, duration) {
+        if (this.anchorTime === null) {
+            this.anchorTime = arrivedAt;
+            this.mediaTime = duration;
+            return;
+        }
+
+        // Chunks that arrive early are buffered, only late ones need buffer to cover them.
+        // No buffer covers more than MAX_BUFFER_TIME, so longer delays count as that.
+        const lateness = Math.min(MAX_BUFFER_TIME, Math.max(0, arrivedAt - (this.anchorTime + this.mediaTime)));
+        this.mediaTime += duration;
+
+        // The chunk that caused an underrun still counts as late, playback then restarts from it
+        if (this.reanchor) {
+            this.reanchor = false;
+            this.anchorTime = arrivedAt;
+            this.mediaTime = duration;
+        }
+
+        if (this.latenessMean === null) {
+            this.latenessMean = lateness;
+            return;
+        }
+        const deviation = lateness - this.latenessMean;
+        this.latenessMean += JITTER_SMOOTHING * deviation;
+        this.latenessVariance += JITTER_SMOOTHING * (deviation * deviation - this.latenessVariance);
+    }
+
+    /**
+     * Starts playback once the target buffer is filled. If the chunks stop coming before that,
+     * e.g. at the end of a short answer, playback starts anyway after the target time.
+     */
+    startWhenBuffered() {
+        if (this.bufferedTime >= this.targetBufferTime || this.isStreamComplete) {
+            this.startPlayback();
+        } else if (!this.bufferingTimer) {
+            this.bufferingTimer = setTimeout(() => {
+                this.bufferingTimer = null;
+                if (this.audioQueue.length) this.startPlayback();
+            }, this.targetBufferTime * 1000);
+        }
+    }
+
+    /**
+     * Starts scheduling the buffered audio
+     */
+    startPlayback() {
+        if (this.bufferingTimer) {
+            clearTimeout(this.bufferingTimer);
+            this.bufferingTimer = null;
+        }
+        this.isPlaying = true;
+        this.measureLatency = true;
+        this.scheduledTime = Math.max(this.scheduledTime, this.context.currentTime);
+        this.scheduleNextBuffer();
+    }
+
+    /**
+     * Marks the end of the stream, e.g. when the model's turn is complete. The buffered audio is played
+     * right away, and the buffer running dry afterwards does not count as an underrun.
+     */
+    complete() {
+        this.isStreamComplete = true;
+        if (!this.isPlaying && this.audioQueue.length) {
+            this.startPlayback();
+        }
+    }
+
     /**
      * Creates an AudioBuffer from Float32 audio data
      * @param {Float32Array} audioData - Audio samples to convert
@@ -135,15 +235,18 @@ export class AudioStreamer {
      * Uses setTimeout for efficient CPU usage while maintaining timing accuracy
      */
     scheduleNextBuffer() {
+        if (this.scheduleTimer) {
+            clearTimeout(this.scheduleTimer);
+            this.scheduleTimer = null;
+        }
         if (!this.isPlaying) return;  // Don't schedule if stopped
 
-        const SCHEDULE_AHEAD_TIME = 0.2;  // Look-ahead window in seconds
-
         try {
             // Schedule buffers within look-ahead window
             while (this.audioQueue.length > 0 && this.scheduledTime < this.context.currentTime + SCHEDULE_AHEAD_TIME) {
-                const audioData = this.audioQueue.shift();
-                const audioBuffer = this.createAudioBuffer(audioData);
+                const { samples, arrivedAt } = this.audioQueue.shift();
+                this.queuedSamples -= samples.length;
+                const audioBuffer = this.createAudioBuffer(samples);
                 const source = this.context.createBufferSource();
 
                 // Track this source
@@ -152,20 +255,6 @@ export class AudioStreamer {
                     this.scheduledSources.delete(source);
                 };
 
-                // Handle completion tracking for last buffer
-                if (this.audioQueue.length === 0) {
-                    if (this.endOfQueueAudioSource) {
-                        this.endOfQueueAudioSource.onended = null;
-                    }
-                    this.endOfQueueAudioSource = source;
-                    source.onended = () => {
-                        this.scheduledSources.delete(source);
-                        if (!this.audioQueue.length && this.endOfQueueAudioSource === source) {
-                            this.endOfQueueAudioSource = null;
-                        }
-                    };
-                }
-
                 source.buffer = audioBuffer;
                 source.connect(this.gainNode);
 
@@ -173,34 +262,53 @@ export class AudioStreamer {
                 const startTime = Math.max(this.scheduledTime, this.context.currentTime);
                 source.start(startTime);
                 this.scheduledTime = startTime + audioBuffer.duration;
+
+                // Later chunks of a burst wait behind earlier ones, the first one shows what buffering adds
+                if (this.measureLatency) {
+                    this.measureLatency = false;
+                    this.latency = startTime - arrivedAt + (this.context.outputLatency || this.context.baseLatency || 0);
+                }
             }
 
-            // Handle buffer underrun or stream completion
-            if (this.audioQueue.length === 0 && this.processingBuffer.length === 0) {
+            const remaining = this.scheduledTime - this.context.currentTime;
+            if (this.audioQueue.length === 0 && remaining <= 0) {
+                // Everything was played: the stream is complete, or the next chunk is late
+                this.isPlaying = false;
                 if (this.isStreamComplete) {
-                    this.isPlaying = false;
-                    if (this.checkInterval) {
-                        clearInterval(this.checkInterval);
-                        this.checkInterval = null;
-                    }
-                } else if (!this.checkInterval) {
-                    // Start checking for new audio data
-                    this.checkInterval = window.setInterval(() => {
-                        if (this.audioQueue.length > 0 || this.processingBuffer.length >= this.bufferSize) {
-                            this.scheduleNextBuffer();
-                        }
-                    }, 100);
+                    // The gap until the next stream is no jitter
+                    this.anchorTime = null;
+                } else {
+                    this.underruns++;
+                    this.reanchor = true;
+                    console.debug('Audio buffer underrun', this.getMetrics());
                 }
-            } else {
-                // Schedule next check based on audio timing
-                const nextCheckTime = (this.scheduledTime - this.context.currentTime) * 1000;
-                setTimeout(() => this.scheduleNextBuffer(), Math.max(0, nextCheckTime - 50));
+                return;
             }
+
+            // Run again when the look-ahead window needs more audio, or when the scheduled audio ends
+            const nextCheckTime = this.audioQueue.length ? remaining - SCHEDULE_AHEAD_TIME + 0.05 : remaining;
+            this.scheduleTimer = setTimeout(this.scheduleNextBuffer, Math.max(0, nextCheckTime * 1000));
         } catch (error) {
             throw new Error('Error scheduling next buffer:' + error);
         }
     }
 
+    /**
+     * Current playback metrics, e.g. for a debug overlay
+     * @returns {{underruns: number, latencyMs: number, bufferedMs: number, targetMs: number, jitterMs: number, chunksReceived: number, isPlaying: boolean}}
+     */
+    getMetrics() {
+        return {
+            underruns: this.underruns,
+            latencyMs: Math.round(this.latency * 1000),
+            bufferedMs: Math.round(this.bufferedTime * 1000),
+            targetMs: Math.round(this.targetBufferTime * 1000),
+            jitterMs: Math.round(Math.sqrt(this.latenessVariance) * 1000),
+            chunksReceived: this.chunksReceived,
+            isPlaying: this.isPlaying
+        };
+    }
+
     /**
      * Stops audio playback and cleans up resources
      * Implements smooth fade-out and resets audio pipeline
@@ -209,7 +317,7 @@ export class AudioStreamer {
         console.info('Stopping audio playback');
         this.isPlaying = false;
         this.isStreamComplete = true;
-        
+
         // Stop all active audio sources
         for (const source of this.scheduledSources) {
             try {
@@ -220,16 +328,17 @@ export class AudioStreamer {
             }
         }
         this.scheduledSources.clear();
-        
+
         this.audioQueue = [];
-        this.processingBuffer = new Float32Array(0);
+        this.queuedSamples = 0;
+        this.anchorTime = null;
+        this.reanchor = false;
         this.scheduledTime = this.context.currentTime;
 
-        // Clear buffer check interval
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-            this.checkInterval = null;
-        }
+        // Clear scheduler timers
+        [this.scheduleTimer, this.bufferingTimer].forEach(timer => clearTimeout(timer));
+        this.scheduleTimer = null;
+        this.bufferingTimer = null;
 
         // Fade out audio to avoid clicks
         try {
@@ -252,7 +361,7 @@ export class AudioStreamer {
                 await this.context.resume();
             }
             this.isStreamComplete = false;
-            this.scheduledTime = this.context.currentTime + this.initialBufferTime;
+            this.scheduledTime = this.context.currentTime;
             this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
             this.isInitialized = true;
 
@@ -261,4 +370,4 @@ export class AudioStreamer {
             throw new Error('Failed to initialize AudioStreamer:' + error);
         }
     }
-}
\ No newline at end of file
+}
@@ -1,19 +1,62 @@
+import { Resampler } from './resampler.js';
+
+/**
+ * Default settings of the voice activity detection, can be overridden with
+ * processorOptions.vad or a 'vad_config' message
+ */
+const VAD_DEFAULTS = {
+    threshold: 12,          // dB above the noise floor for a frame to count as speech
+    minLevel: -50,          // dBFS below which a frame is never speech
+    maxZeroCrossingRate: 0.35, // Fraction of sign changes, noise like hiss changes sign more often than speech
+    minSpeechMs: 60,        // Speech that must follow to start an utterance, ignores clicks
+    hangoverMs: 500         // Silence that must follow to end an utterance, bridges pauses between words
+};
+const VAD_FRAME_MS = 20;
+
 /**
  * AudioProcessingWorklet handles real-time audio processing in a dedicated thread.
  * It converts incoming Float32 audio samples to Int16 format for efficient network transmission
  * and processing by speech recognition systems.
+ * Audio is resampled to processorOptions.targetSampleRate first, for browsers and devices that
+ * capture at another rate than the AudioContext asked for.
+ * A voice activity detection runs on 20 ms frames: a frame is speech if its energy is well above the
+ * adaptive noise floor and its zero-crossing rate (a cheap measure of the spectrum) is not noise-like.
+ * Utterances are reported with 'speech_start' and 'speech_end' messages, and every chunk says
+ * whether it contains speech.
  */
 class AudioProcessingWorklet extends AudioWorkletProcessor {
     /**
      * Initializes the audio processing worklet with a fixed-size buffer
      * Buffer size of 2048 samples provides a good balance between latency and processing efficiency
+     * @param {Object} options - AudioWorkletNode options, processorOptions.vad overrides VAD_DEFAULTS
+     *   and processorOptions.targetSampleRate is the rate of the chunks, the context's rate by default
      */
-    constructor() {
+    constructor(options) {
         super();
         // Pre-allocate buffer for Int16 samples to avoid garbage collection
         this.buffer = new Int16Array(2048);
         this.bufferWriteIndex = 0;
-        this.sampleRate = 16000;
+        this.sampleRate = options?.processorOptions?.targetSampleRate || sampleRate;
+        this.resampler = this.sampleRate !== sampleRate ? new Resampler(sampleRate, this.sampleRate) : null;
+
+        // Voice activity detection
+        this.vad = { ...VAD_DEFAULTS, ...options?.processorOptions?.vad };
+        this.frameSize = Math.round(this.sampleRate * VAD_FRAME_MS / 1000);
+        this.frameSamples = 0;
+        this.frameSumSquares = 0;
+        this.frameZeroCrossings = 0;
+        this.lastSample = 0;
+        this.noiseFloor = null;         // dBFS, follows the level of the frames without speech
+        this.isSpeaking = false;
+        this.speechMs = 0;              // Consecutive speech while not speaking
+        this.silenceMs = 0;             // Consecutive silence while speaking
+        this.chunkHasSpeech = false;
+
+        this.port.onmessage = (event) => {
+            if (event.data.event === 'vad_config') {
+                this.vad = { ...this.vad, ...event.data.config };
+            }
+        };
     }
 
     /**
@@ -25,7 +68,7 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
         // Process only if we have audio data (first channel of first input)
         if (inputs[0].length) {
             const channel0 = inputs[0][0];
-            this.processChunk(channel0);
+            this.processChunk(this.resampler ? this.resampler.process(channel0) : channel0);
         }
         return true;
     }
@@ -40,9 +83,68 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
             data: {
                 // Transfer only the filled portion of the buffer
                 int16arrayBuffer: this.buffer.slice(0, this.bufferWriteIndex).buffer,
+                speech: this.chunkHasSpeech,
             },
         });
         this.bufferWriteIndex = 0;
+        this.chunkHasSpeech = this.isSpeaking;
+    }
+
+    /**
+     * Adds a sample to the current VAD frame and classifies the frame once it is complete
+     * @param {number} sample - Float32 sample
+     */
+    analyzeSample(sample) {
+        this.frameSumSquares += sample * sample;
+        if ((sample >= 0) !== (this.lastSample >= 0)) {
+            this.frameZeroCrossings++;
+        }
+        this.lastSample = sample;
+
+        if (++this.frameSamples >= this.frameSize) {
+            const level = 10 * Math.log10(this.frameSumSquares / this.frameSamples + 1e-10);
+            const zeroCrossingRate = this.frameZeroCrossings / this.frameSamples;
+            this.classifyFrame(level, zeroCrossingRate);
+            this.frameSamples = 0;
+            this.frameSumSquares = 0;
+            this.frameZeroCrossings = 0;
+        }
+    }
+
+    /**
+     * Updates the speaking state with a classified frame
+     * @param {number} level - Frame energy in dBFS
+     * @param {number} zeroCrossingRate - Fraction of samples where the sign changed
+     */
+    classifyFrame(level, zeroCrossingRate) {
+        if (this.noiseFloor === null) {
+            this.noiseFloor = level;
+        }
+        const isSpeech = level > this.vad.minLevel
+            && level > this.noiseFloor + this.vad.threshold
+            && zeroCrossingRate < this.vad.maxZeroCrossingRate;
+
+        // The floor drops to quieter frames at once and rises slowly, so speech does not raise it
+        if (!isSpeech) {
+            this.noiseFloor = level < this.noiseFloor ? level : this.noiseFloor * 0.95 + level * 0.05;
+        }
+
+        if (!this.isSpeaking) {
+            this.speechMs = isSpeech ? this.speechMs + VAD_FRAME_MS : 0;
+            if (this.speechMs >= this.vad.minSpeechMs) {
+                this.isSpeaking = true;
+                this.chunkHasSpeech = true;
+                this.silenceMs = 0;
+                this.port.postMessage({ event: 'speech_start' });
+            }
+        } else {
+            this.silenceMs = isSpeech ? 0 : this.silenceMs + VAD_FRAME_MS;
+            if (this.silenceMs >= this.vad.hangoverMs) {
+                this.isSpeaking = false;
+                this.speechMs = 0;
+                this.port.postMessage({ event: 'speech_end' });
+            }
+        }
     }
 
     /**
@@ -53,6 +155,8 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
     processChunk(float32Array) {
         try {
             for (let i = 0; i < float32Array.length; i++) {
+                this.analyzeSample(float32Array[i]);
+
                 // Convert Float32 to Int16 with proper rounding and clamping
                 const int16Value = Math.max(-32768, Math.min(32767, Math.floor(float32Array[i] * 32768)));
                 this.buffer[this.bufferWriteIndex++] = int16Value;
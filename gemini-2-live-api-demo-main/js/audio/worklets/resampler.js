@@ -0,0 +1,122 @@
+const ZERO_CROSSINGS = 16;      // Zero crossings of the sinc on each side, more is sharper and slower
+const TABLE_RESOLUTION = 512;   // Kernel values per input sample in the lookup table
+const PASSBAND = 0.9;           // Fraction of the lower Nyquist frequency that is kept
+
+/**
+ * Streaming sample rate converter for Float32 audio, e.g. from a 48 kHz microphone to the 16 kHz the
+ * Live API expects. Every output sample is interpolated with a Blackman-windowed sinc whose cutoff lies
+ * below the lower of both Nyquist frequencies, so downsampling does not fold higher frequencies back
+ * into the speech band. Blocks of any size can be passed in, the state between them is kept, and the
+ * output lags the input by half the kernel width (about 1 ms from 48 kHz).
+ */
+export class Resampler {
+    /**
+     * @param {number} inputRate - Sample rate of the audio passed to process()
+     * @param {number} outputRate - Sample rate of the audio it returns
+     */
+    constructor(inputRate, outputRate) {
+        if (!(inputRate > 0) || !(outputRate > 0)) {
+            throw new Error(`Invalid sample rates ${inputRate} -> ${outputRate}`);
+        }
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.step = inputRate / outputRate;     // Input samples per output sample
+
+        // Cutoff relative to the input's Nyquist frequency, the kernel widens as it drops
+        this.cutoff = Math.min(1, outputRate / inputRate) * PASSBAND;
+        this.halfWidth = Math.ceil(ZERO_CROSSINGS / this.cutoff);
+        this.kernel = createKernel(this.cutoff, this.halfWidth);
+
+        // Input not consumed yet, starting with silence so the first output sample has a past
+        this.history = new Float32Array(2 * this.halfWidth + 4096);
+        this.historyLength = this.halfWidth;
+        this.position = this.halfWidth;         // Input index of the next output sample
+        this.output = new Float32Array(1024);
+    }
+
+    /**
+     * Resamples the next block of audio
+     * @param {Float32Array} input - Samples at the input rate
+     * @returns {Float32Array} Samples at the output rate, only valid until the next call
+     */
+    process(input) {
+        this.append(input);
+
+        const maxOutput = Math.ceil((this.historyLength - this.halfWidth - this.position) / this.step) + 1;
+        if (this.output.length < maxOutput) {
+            this.output = new Float32Array(maxOutput * 2);
+        }
+
+        let count = 0;
+        while (Math.floor(this.position) + this.halfWidth < this.historyLength) {
+            this.output[count++] = this.interpolate(this.position);
+            this.position += this.step;
+        }
+
+        // Drop the input that no future output sample reaches
+        const consumed = Math.max(0, Math.floor(this.position) - this.halfWidth + 1);
+        this.history.copyWithin(0, consumed, this.historyLength);
+        this.historyLength -= consumed;
+        this.position -= consumed;
+
+        return this.output.subarray(0, count);
+    }
+
+    /**
+     * Appends input samples to the history, growing it if a block is larger than expected
+     * @param {Float32Array} input - Samples at the input rate
+     */
+    append(input) {
+        if (this.historyLength + input.length > this.history.length) {
+            const history = new Float32Array((this.historyLength + input.length) * 2);
+            history.set(this.history.subarray(0, this.historyLength));
+            this.history = history;
+        }
+        this.history.set(input, this.historyLength);
+        this.historyLength += input.length;
+    }
+
+    /**
+     * Computes the signal at a fractional input position from the samples around it
+     * @param {number} position - Index into the history
+     * @returns {number} The interpolated sample
+     */
+    interpolate(position) {
+        const center = Math.floor(position);
+        const fraction = position - center;
+        let sum = 0;
+        for (let offset = 1 - this.halfWidth; offset <= this.halfWidth; offset++) {
+            sum += this.history[center + offset] * this.kernelAt(Math.abs(offset - fraction));
+        }
+        return sum;
+    }
+
+    /**
+     * @param {number} distance - Distance in input samples, at most halfWidth
+     * @returns {number} Kernel value, linearly interpolated from the table
+     */
+    kernelAt(distance) {
+        const index = distance * TABLE_RESOLUTION;
+        const i = Math.floor(index);
+        const a = this.kernel[i];
+        return a + (this.kernel[i + 1] - a) * (index - i);
+    }
+}
+
+/**
+ * Tabulates one side of the windowed sinc low-pass kernel, which is symmetric
+ * @param {number} cutoff - Cutoff relative to the input's Nyquist frequency
+ * @param {number} halfWidth - Width of one side in input samples
+ * @returns {Float32Array} Kernel values at distances 0, 1/TABLE_RESOLUTION, ... halfWidth
+ */
+function createKernel(cutoff, halfWidth) {
+    const size = halfWidth * TABLE_RESOLUTION;
+    const kernel = new Float32Array(size + 2);
+    for (let i = 0; i <= size; i++) {
+        const x = i / TABLE_RESOLUTION;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+        const window = 0.42 + 0.5 * Math.cos(Math.PI * x / halfWidth) + 0.08 * Math.cos(2 * Math.PI * x / halfWidth);
+        kernel[i] = cutoff * sinc * window;
+    }
+    return kernel;
+}
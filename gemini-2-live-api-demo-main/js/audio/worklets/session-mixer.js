@@ -0,0 +1,127 @@
+import { Resampler } from './resampler.js';
+
+const MIC_BUFFER_TIME = 2;          // Seconds of microphone audio the FIFO holds at most
+const MIC_PRIME_TIME = 0.2;         // Seconds buffered before the microphone is played, covers the chunk size
+const CAPTURE_BLOCK_SIZE = 4096;    // Frames per 'pcm' message
+
+/**
+ * Mixes a voice session into one stereo track: the user's microphone on the left and the model's
+ * audio, connected to the node's input, on the right. The microphone audio arrives as 'mic' messages
+ * with Float32 samples at the context's rate, it is played from a FIFO that is primed with
+ * MIC_PRIME_TIME of audio so the chunked delivery does not leave gaps.
+ *
+ * The stereo output can be recorded with a MediaStreamAudioDestinationNode. With
+ * processorOptions.captureSampleRate set, the mix is also sent back as interleaved 16-bit PCM at
+ * that rate in 'pcm' messages; a 'flush' message sends the rest, followed by a 'flushed' message.
+ */
+class SessionMixerWorklet extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.mic = new Float32Array(Math.round(sampleRate * MIC_BUFFER_TIME));
+        this.micReadIndex = 0;
+        this.micCount = 0;
+        this.micPrimed = false;
+        this.micPrimeSamples = Math.round(sampleRate * MIC_PRIME_TIME);
+
+        const captureSampleRate = options?.processorOptions?.captureSampleRate;
+        this.capture = Boolean(captureSampleRate);
+        if (this.capture) {
+            this.resamplers = [new Resampler(sampleRate, captureSampleRate), new Resampler(sampleRate, captureSampleRate)];
+            this.captureBuffer = new Int16Array(CAPTURE_BLOCK_SIZE * 2);
+            this.captureIndex = 0;
+        }
+        this.isRunning = true;
+
+        this.port.onmessage = (event) => {
+            switch (event.data.event) {
+                case 'mic':
+                    this.writeMic(event.data.samples);
+                    break;
+                case 'flush':
+                    if (this.capture) this.sendCapture();
+                    this.port.postMessage({ event: 'flushed' });
+                    break;
+                case 'stop':
+                    this.isRunning = false;
+                    break;
+            }
+        };
+    }
+
+    /**
+     * Adds microphone samples to the FIFO, dropping the oldest ones if it is full
+     * @param {Float32Array} samples - Samples at the context's rate
+     */
+    writeMic(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            if (this.micCount === this.mic.length) {
+                this.micReadIndex = (this.micReadIndex + 1) % this.mic.length;
+                this.micCount--;
+            }
+            this.mic[(this.micReadIndex + this.micCount) % this.mic.length] = samples[i];
+            this.micCount++;
+        }
+    }
+
+    /**
+     * @returns {number} Next microphone sample, silence while the FIFO is being primed
+     */
+    readMic() {
+        if (!this.micPrimed) {
+            if (this.micCount < this.micPrimeSamples) return 0;
+            this.micPrimed = true;
+        }
+        if (this.micCount === 0) {
+            // Ran dry, e.g. because the microphone was turned off, wait for a full prime again
+            this.micPrimed = false;
+            return 0;
+        }
+        const sample = this.mic[this.micReadIndex];
+        this.micReadIndex = (this.micReadIndex + 1) % this.mic.length;
+        this.micCount--;
+        return sample;
+    }
+
+    process(inputs, outputs) {
+        const model = inputs[0]?.[0];
+        const [left, right] = outputs[0];
+
+        for (let i = 0; i < left.length; i++) {
+            left[i] = this.readMic();
+            right[i] = model ? model[i] : 0;
+        }
+
+        if (this.capture) {
+            const resampledLeft = this.resamplers[0].process(left);
+            const resampledRight = this.resamplers[1].process(right);
+            for (let i = 0; i < resampledLeft.length; i++) {
+                this.captureBuffer[this.captureIndex++] = toInt16(resampledLeft[i]);
+                this.captureBuffer[this.captureIndex++] = toInt16(resampledRight[i]);
+                if (this.captureIndex === this.captureBuffer.length) {
+                    this.sendCapture();
+                }
+            }
+        }
+        return this.isRunning;
+    }
+
+    /**
+     * Sends the captured frames to the main thread
+     */
+    sendCapture() {
+        if (!this.captureIndex) return;
+        const pcm = this.captureBuffer.slice(0, this.captureIndex);
+        this.port.postMessage({ event: 'pcm', data: pcm.buffer }, [pcm.buffer]);
+        this.captureIndex = 0;
+    }
+}
+
+/**
+ * @param {number} sample - Float32 sample
+ * @returns {number} The sample as 16-bit integer, clamped
+ */
+function toInt16(sample) {
+    return Math.max(-32768, Math.min(32767, Math.round(sample * 32768)));
+}
+
+registerProcessor('session-mixer', SessionMixerWorklet);
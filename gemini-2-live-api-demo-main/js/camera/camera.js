@@ -1,3 +1,5 @@
+import { FrameDiffer } from '../capture/frame-differ.js';
+
 /**
  * Manages camera access, capture, and image processing
  */
@@ -7,12 +9,17 @@ export class CameraManager {
      * @param {number} config.width - Target width for resizing captured images
      * @param {number} config.quality - JPEG quality (0-1)
      * @param {string} [config.facingMode] - Camera facing mode (optional, mobile-only)
+     * @param {string} [config.deviceId] - Camera to use, takes precedence over facingMode (optional)
+     * @param {Object} [config.changeDetection] - FrameDiffer options, capture() skips frames that did not change
+     * @param {Function} [config.onSnapshot] - Called with a frozen frame when the user wants to annotate it
      */
     constructor(config) {
         this.config = {
             width: config.width || 640,
             quality: config.quality || 0.8,
-            facingMode: config.facingMode // undefined by default for desktop compatibility
+            facingMode: config.facingMode, // undefined by default for desktop compatibility
+            deviceId: config.deviceId || '',
+            onSnapshot: config.onSnapshot
         };
         
         this.stream = null;
@@ -23,6 +30,8 @@ export class CameraManager {
         this.aspectRatio = null;
         this.previewContainer = null;
         this.switchButton = null;
+        this.snapshotButton = null;
+        this.frameDiffer = new FrameDiffer(config.changeDetection);
     }
 
     /**
@@ -58,6 +67,39 @@ export class CameraManager {
         this.previewContainer.appendChild(this.switchButton);
     }
 
+    /**
+     * Freeze the current camera frame, e.g. to annotate it
+     * @returns {HTMLCanvasElement} Canvas with the frame, its longer side at most the capture width
+     */
+    snapshot() {
+        if (!this.isInitialized) {
+            throw new Error('Camera not initialized. Call initialize() first.');
+        }
+
+        const { videoWidth, videoHeight } = this.videoElement;
+        const scale = Math.min(1, Number(this.config.width) / Math.max(videoWidth, videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(videoWidth * scale));
+        canvas.height = Math.max(1, Math.round(videoHeight * scale));
+        canvas.getContext('2d').drawImage(this.videoElement, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Add a button to the preview that freezes the frame and hands it to onSnapshot
+     * @private
+     */
+    _createSnapshotButton() {
+        if (!this.config.onSnapshot) return;
+
+        this.snapshotButton = document.createElement('button');
+        this.snapshotButton.className = 'snapshot-btn';
+        this.snapshotButton.innerHTML = '✏️';
+        this.snapshotButton.title = 'Annotate this frame and ask about it';
+        this.snapshotButton.addEventListener('click', () => this.config.onSnapshot(this.snapshot()));
+        this.previewContainer.appendChild(this.snapshotButton);
+    }
+
     /**
      * Switch between front and back cameras
      */
@@ -84,8 +126,7 @@ export class CameraManager {
             };
 
             this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.videoElement.srcObject = this.stream;
-            await this.videoElement.play();
+            await this._showStream(this.stream);
         } catch (error) {
             console.error('Failed to switch camera:', error);
             // Revert to previous facing mode on error
@@ -93,6 +134,59 @@ export class CameraManager {
         }
     }
 
+    /**
+     * Switch to another camera without interrupting the capture
+     * @param {string} deviceId - Camera to use, '' for the default
+     */
+    async switchDevice(deviceId) {
+        this.config.deviceId = deviceId;
+        if (!this.isInitialized) return;
+
+        // Open the new camera first, so the old one stays in use if that fails
+        const stream = await navigator.mediaDevices.getUserMedia(this._getConstraints());
+        this.stream.getTracks().forEach(track => track.stop());
+        this.stream = stream;
+        await this._showStream(stream);
+        this.frameDiffer.reset();
+    }
+
+    /**
+     * Build the getUserMedia constraints for the configured camera
+     * @returns {MediaStreamConstraints}
+     * @private
+     */
+    _getConstraints() {
+        const constraints = {
+            video: {
+                width: { ideal: 1920 }, // Request max quality first
+                height: { ideal: 1080 }
+            }
+        };
+
+        if (this.config.deviceId) {
+            constraints.video.deviceId = { exact: this.config.deviceId };
+        } else if (/Mobi|Android/i.test(navigator.userAgent)) {
+            // Set initial facingMode on mobile
+            this.config.facingMode = this.config.facingMode || 'user'; // Default to front camera
+            constraints.video.facingMode = this.config.facingMode;
+        }
+        return constraints;
+    }
+
+    /**
+     * Play a new stream in the preview and fit the canvas to its aspect ratio
+     * @param {MediaStream} stream - Camera stream
+     * @private
+     */
+    async _showStream(stream) {
+        this.videoElement.srcObject = stream;
+        await this.videoElement.play();
+
+        this.aspectRatio = this.videoElement.videoHeight / this.videoElement.videoWidth;
+        this.canvas.width = this.config.width;
+        this.canvas.height = Math.round(this.config.width * this.aspectRatio);
+    }
+
     /**
      * Initialize camera stream and canvas
      * @returns {Promise<void>}
@@ -101,22 +195,8 @@ export class CameraManager {
         if (this.isInitialized) return;
 
         try {
-            // Build constraints based on platform
-            const constraints = {
-                video: {
-                    width: { ideal: 1920 }, // Request max quality first
-                    height: { ideal: 1080 }
-                }
-            };
-
-            // Set initial facingMode on mobile
-            if (/Mobi|Android/i.test(navigator.userAgent)) {
-                this.config.facingMode = this.config.facingMode || 'user'; // Default to front camera
-                constraints.video.facingMode = this.config.facingMode;
-            }
-
             // Request camera access
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            this.stream = await navigator.mediaDevices.getUserMedia(this._getConstraints());
 
             // Create and setup video element
             this.videoElement = document.createElement('video');
@@ -129,6 +209,7 @@ export class CameraManager {
                 previewContainer.appendChild(this.videoElement);
                 this.previewContainer = previewContainer;
                 this._createSwitchButton(); // Add switch button
+                this._createSnapshotButton();
                 this.showPreview(); // Show preview when initialized
             }
             
@@ -171,7 +252,7 @@ export class CameraManager {
 
     /**
      * Capture and process an image from the camera
-     * @returns {Promise<string>} Base64 encoded JPEG image
+     * @returns {Promise<string|null>} Base64 encoded JPEG image, null if the frame is not worth sending
      */
     async capture() {
         if (!this.isInitialized) {
@@ -186,6 +267,11 @@ export class CameraManager {
             this.canvas.height
         );
 
+        // Skip frames that look like the ones the model has already seen
+        if (!this.frameDiffer.check(this.canvas).send) {
+            return null;
+        }
+
         // Convert to base64 JPEG with specified quality
         return this.canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
     }
@@ -209,6 +295,11 @@ export class CameraManager {
             this.switchButton = null;
         }
 
+        if (this.snapshotButton) {
+            this.snapshotButton.remove();
+            this.snapshotButton = null;
+        }
+
         if (this.previewContainer) {
             this.hidePreview();
             this.previewContainer.innerHTML = ''; // Clear the preview container
@@ -217,6 +308,7 @@ export class CameraManager {
 
         this.canvas = null;
         this.ctx = null;
+        this.frameDiffer.reset();
         this.isInitialized = false;
         this.aspectRatio = null;
     }
@@ -0,0 +1,174 @@
+import { FrameDiffer } from './frame-differ.js';
+
+const PIP_SCALE = 0.25;         // Width of the camera picture-in-picture relative to the frame
+const PIP_MARGIN = 0.02;        // Margin around the picture-in-picture relative to the frame width
+const LABEL_FONT_SIZE = 0.025;  // Font size of the source labels relative to the frame width
+
+/**
+ * Layouts of the composed frame. 'separate' composes nothing, the camera and the screen are sent
+ * as frames of their own.
+ */
+export const CAPTURE_LAYOUTS = ['pip-bottom-right', 'pip-bottom-left', 'pip-top-right', 'pip-top-left', 'side-by-side', 'separate'];
+
+/**
+ * Renders the shared screen and the camera into one frame, so the model gets one picture with both
+ * sources instead of interleaved frames it cannot tell apart. The camera is shown as a labeled
+ * picture-in-picture in a corner of the screen, or both are shown side by side at the same height.
+ */
+export class FrameCompositor {
+    /**
+     * @param {Object} config
+     * @param {number} config.width - Width of the composed frame
+     * @param {number} config.quality - JPEG quality (0-1)
+     * @param {string} [config.layout='pip-bottom-right'] - One of CAPTURE_LAYOUTS
+     * @param {Object} [config.changeDetection] - FrameDiffer options, capture() skips frames that did not change
+     */
+    constructor(config) {
+        this.config = {
+            width: Number(config.width) || 1280,
+            quality: config.quality || 0.8,
+            layout: CAPTURE_LAYOUTS.includes(config.layout) ? config.layout : 'pip-bottom-right'
+        };
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.frameDiffer = new FrameDiffer(config.changeDetection);
+    }
+
+    /**
+     * Whether the camera and the screen are composed into one frame
+     * @returns {boolean}
+     */
+    get isEnabled() {
+        return this.config.layout !== 'separate';
+    }
+
+    /**
+     * Compose the current frames of both sources
+     * @param {HTMLVideoElement} screenVideo - Video element playing the screen share
+     * @param {HTMLVideoElement} cameraVideo - Video element playing the camera
+     * @param {{x: number, y: number, width: number, height: number}} [screenRect] - Part of the screen
+     *   to show in video pixels, e.g. the region of interest; all of it by default
+     * @returns {Promise<string|null>} Base64 encoded JPEG image, null if the frame is not worth sending
+     */
+    async capture(screenVideo, cameraVideo, screenRect = fullRect(screenVideo)) {
+        const cameraRect = fullRect(cameraVideo);
+        const screenAspectRatio = screenRect.height / screenRect.width;
+        const cameraAspectRatio = cameraRect.height / cameraRect.width;
+        let width = this.config.width;
+
+        if (this.config.layout === 'side-by-side') {
+            // Both at the same height, filling the width together
+            const height = Math.round(width / (1 / screenAspectRatio + 1 / cameraAspectRatio));
+            const screenWidth = Math.round(height / screenAspectRatio);
+            this._resize(width, height);
+            this._draw(screenVideo, screenRect, 0, 0, screenWidth, height);
+            this._draw(cameraVideo, cameraRect, screenWidth, 0, width - screenWidth, height, 'Camera');
+            this._label('Screen', 0, 0);
+        } else {
+            let height = Math.round(width * screenAspectRatio);
+            if (screenAspectRatio > 1) {
+                // A tall screen or region of interest gets the frame width as its height
+                height = width;
+                width = Math.max(1, Math.round(height / screenAspectRatio));
+            }
+            this._resize(width, height);
+            this._draw(screenVideo, screenRect, 0, 0, width, height);
+
+            // Sized by the longer side, but never wider than the frame
+            const margin = Math.round(Math.max(width, height) * PIP_MARGIN);
+            const pipWidth = Math.max(1, Math.min(Math.round(Math.max(width, height) * PIP_SCALE), width - 2 * margin));
+            const pipHeight = Math.round(pipWidth * cameraAspectRatio);
+            const x = this.config.layout.endsWith('left') ? margin : width - pipWidth - margin;
+            const y = this.config.layout.includes('top') ? margin : height - pipHeight - margin;
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillRect(x - 2, y - 2, pipWidth + 4, pipHeight + 4);
+            this._draw(cameraVideo, cameraRect, x, y, pipWidth, pipHeight, 'Camera');
+        }
+
+        // Skip frames that look like the ones the model has already seen
+        if (!this.frameDiffer.check(this.canvas).send) {
+            return null;
+        }
+
+        return this.canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
+    }
+
+    /**
+     * Forgets the earlier frames, the next composed frame is sent
+     */
+    reset() {
+        this.frameDiffer.reset();
+    }
+
+    /**
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @private
+     */
+    _resize(width, height) {
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    /**
+     * Draw a part of a source into a rectangle, cropping it to the rectangle's aspect ratio
+     * @param {HTMLVideoElement} source - The source
+     * @param {{x: number, y: number, width: number, height: number}} sourceRect - Part of the source in video pixels
+     * @param {number} x - Left edge of the rectangle
+     * @param {number} y - Top edge of the rectangle
+     * @param {number} width - Rectangle width
+     * @param {number} height - Rectangle height
+     * @param {string} [label] - Label drawn in the rectangle's top left corner
+     * @private
+     */
+    _draw(source, sourceRect, x, y, width, height, label) {
+        let sourceWidth = sourceRect.width;
+        let sourceHeight = sourceRect.height;
+        if (sourceHeight / sourceWidth > height / width) {
+            sourceHeight = sourceWidth * height / width;
+        } else {
+            sourceWidth = sourceHeight * width / height;
+        }
+        this.ctx.drawImage(
+            source,
+            sourceRect.x + (sourceRect.width - sourceWidth) / 2,
+            sourceRect.y + (sourceRect.height - sourceHeight) / 2,
+            sourceWidth, sourceHeight,
+            x, y, width, height
+        );
+        if (label) {
+            this._label(label, x, y);
+        }
+    }
+
+    /**
+     * Draw a label, so the model knows which source it sees
+     * @param {string} text - Label text
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @private
+     */
+    _label(text, x, y) {
+        const fontSize = Math.max(10, Math.round(this.canvas.width * LABEL_FONT_SIZE));
+        const padding = Math.round(fontSize / 3);
+        this.ctx.font = `${fontSize}px sans-serif`;
+        this.ctx.textBaseline = 'top';
+        const textWidth = this.ctx.measureText(text).width;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x, y, textWidth + padding * 2, fontSize + padding * 2);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText(text, x + padding, y + padding);
+    }
+}
+
+/**
+ * @param {HTMLVideoElement} video - A video element
+ * @returns {{x: number, y: number, width: number, height: number}} The whole frame in video pixels
+ */
+function fullRect(video) {
+    return { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+}
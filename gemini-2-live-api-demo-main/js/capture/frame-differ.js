@@ -0,0 +1,119 @@
+const GRID_SIZE = 32;           // Frames are compared as GRID_SIZE x GRID_SIZE cells of average luma
+const CELL_TOLERANCE = 10;      // Luma difference (0-255) of a cell that is still noise, e.g. of a camera
+
+/**
+ * Decides which captured frames of the camera or screen are worth sending to the model.
+ * Every frame is scaled down to a grid of average luma values, a coarse image fingerprint similar to
+ * an average hash that keeps the brightness of every cell. A frame is sent if
+ * - it is the first one, or nothing was sent for keyframeInterval ms (a keyframe),
+ * - the share of cells that changed since the last sent frame reaches threshold, so slow changes
+ *   add up, or
+ * - it follows a large change, at least burstThreshold since the previous frame: the next
+ *   burstFrames frames are sent as well, so the model sees the transition and where it ends up.
+ */
+export class FrameDiffer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.threshold=0.02] - Share of changed cells (0-1) for a frame to be sent, 0 sends every frame
+     * @param {number} [options.burstThreshold=0.25] - Share of changed cells since the previous frame that starts a burst
+     * @param {number} [options.burstFrames=3] - Frames sent after a large change
+     * @param {number} [options.keyframeInterval=10000] - Time in ms after which a frame is sent even if nothing changed
+     */
+    constructor({ threshold = 0.02, burstThreshold = 0.25, burstFrames = 3, keyframeInterval = 10000 } = {}) {
+        this.threshold = threshold;
+        this.burstThreshold = burstThreshold;
+        this.burstFrames = burstFrames;
+        this.keyframeInterval = keyframeInterval;
+
+        this.canvas = null;
+        this.ctx = null;
+        this.previousLuma = null;       // Fingerprint of the previous frame
+        this.sentLuma = null;           // Fingerprint of the last frame that was sent
+        this.lastSentAt = 0;
+        this.burstRemaining = 0;
+    }
+
+    /**
+     * Compares a frame with the earlier ones
+     * @param {CanvasImageSource} frame - The captured frame, e.g. the canvas it was drawn to
+     * @param {number} [now=Date.now()] - Time of the frame in ms
+     * @returns {{send: boolean, reason: string, change: number}} Whether to send the frame and why:
+     *   'first', 'keyframe', 'changed', 'burst' or 'unchanged'; change is the share of cells that
+     *   changed since the last sent frame
+     */
+    check(frame, now = Date.now()) {
+        const luma = this.fingerprint(frame);
+        const changeSincePrevious = this.previousLuma ? compare(luma, this.previousLuma) : 1;
+        const change = this.sentLuma ? compare(luma, this.sentLuma) : 1;
+        this.previousLuma = luma;
+
+        let reason = 'unchanged';
+        if (!this.sentLuma) {
+            reason = 'first';
+        } else if (changeSincePrevious >= this.burstThreshold) {
+            reason = 'burst';
+            this.burstRemaining = this.burstFrames;
+        } else if (this.burstRemaining > 0) {
+            reason = 'burst';
+            this.burstRemaining--;
+        } else if (change >= this.threshold) {
+            reason = 'changed';
+        } else if (now - this.lastSentAt >= this.keyframeInterval) {
+            reason = 'keyframe';
+        }
+
+        const send = reason !== 'unchanged';
+        if (send) {
+            this.sentLuma = luma;
+            this.lastSentAt = now;
+        }
+        return { send, reason, change };
+    }
+
+    /**
+     * Forgets the earlier frames, the next one is sent
+     */
+    reset() {
+        this.previousLuma = null;
+        this.sentLuma = null;
+        this.burstRemaining = 0;
+    }
+
+    /**
+     * Scales a frame down to the luma grid
+     * @param {CanvasImageSource} frame - The frame
+     * @returns {Uint8Array} Average luma of every cell, row by row
+     */
+    fingerprint(frame) {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = GRID_SIZE;
+            this.canvas.height = GRID_SIZE;
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+            this.ctx.imageSmoothingQuality = 'high';
+        }
+        // High quality scaling averages the pixels of every cell instead of sampling a few
+        this.ctx.drawImage(frame, 0, 0, GRID_SIZE, GRID_SIZE);
+        const { data } = this.ctx.getImageData(0, 0, GRID_SIZE, GRID_SIZE);
+
+        const luma = new Uint8Array(GRID_SIZE * GRID_SIZE);
+        for (let i = 0; i < luma.length; i++) {
+            // ITU-R BT.601 luma
+            luma[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+        }
+        return luma;
+    }
+}
+
+/**
+ * @param {Uint8Array} a - Luma grid
+ * @param {Uint8Array} b - Luma grid of the same size
+ * @returns {number} Share of cells whose luma differs by more than CELL_TOLERANCE, 0-1
+ */
+function compare(a, b) {
+    let changed = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (Math.abs(a[i] - b[i]) > CELL_TOLERANCE) changed++;
+    }
+    return changed / a.length;
+}
@@ -1,12 +1,27 @@
+import { renderMarkdown } from './markdown-renderer.js';
+
 export class ChatManager {
-    constructor() {
-        this.chatContainer = document.getElementById('chatHistory');
+    /**
+     * @param {HTMLElement} [container] - Element the messages are rendered into, defaults to #chatHistory
+     */
+    constructor(container = document.getElementById('chatHistory')) {
+        this.chatContainer = container;
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null; // 'text' or 'audio'
         this.currentTranscript = ''; // Add this to store accumulated transcript
+        this.lastModelMessage = null; // Receives grounding citations that arrive after the turn
+        this.renderFrame = null;
+        this.toolCards = new Map(); // Function call id -> card of a running tool call
+
+        // Bubble of the user's current spoken turn, updated in place as transcripts arrive
+        this.currentUserMessage = null;
+        this.userTranscript = '';   // Final text of the spoken turn
+        this.userInterim = '';      // Interim text that follows it, replaced with every interim result
+        this.userInterrupted = false; // Whether the user started speaking while the model's message was streaming
     }
 
     addUserMessage(text) {
+        this.finalizeUserMessage();
         const messageDiv = document.createElement('div');
         messageDiv.className = 'chat-message user-message';
         messageDiv.textContent = text;
@@ -15,15 +30,80 @@ export class ChatManager {
         this.scrollToBottom();
     }
 
+    /**
+     * Adds a bubble for a spoken user turn, it shows the transcript once one arrives
+     */
     addUserAudioMessage() {
+        this.finalizeUserMessage();
         const messageDiv = document.createElement('div');
-        messageDiv.className = 'chat-message user-message';
+        messageDiv.className = 'chat-message user-message audio-message';
         messageDiv.textContent = 'User sent audio';
         this.chatContainer.appendChild(messageDiv);
+        this.currentUserMessage = messageDiv;
+        this.userInterrupted = Boolean(this.currentStreamingMessage);
         this.lastUserMessageType = 'audio';
         this.scrollToBottom();
     }
 
+    /**
+     * Shows a transcript of the user's speech in the bubble of the spoken turn. Interim results
+     * replace each other until they are final, a segment with speechFinal ends the bubble.
+     * @param {TranscriptSegment} segment - Interim or final segment of the user's transcript
+     */
+    updateUserTranscript(segment) {
+        if (!this.currentUserMessage) {
+            this.addUserAudioMessage();
+        }
+        if (segment.isFinal) {
+            this.userTranscript += segment.text;
+            this.userInterim = '';
+        } else {
+            this.userInterim = segment.text;
+        }
+        this.renderUserTranscript();
+
+        if (segment.speechFinal) {
+            this.finalizeUserMessage();
+        }
+    }
+
+    renderUserTranscript() {
+        const messageDiv = this.currentUserMessage;
+        const finalText = this.userTranscript.trimStart();
+        const interimText = finalText ? this.userInterim : this.userInterim.trimStart();
+        if (!finalText && !interimText) return;
+
+        const interimSpan = document.createElement('span');
+        interimSpan.className = 'interim-text';
+        interimSpan.textContent = interimText;
+        messageDiv.replaceChildren(finalText, interimSpan);
+        messageDiv.classList.toggle('interim', Boolean(interimText));
+        this.scrollToBottom();
+    }
+
+    /**
+     * Ends the bubble of the spoken turn, interim text that was not finalized is kept as it is
+     */
+    finalizeUserMessage() {
+        if (!this.currentUserMessage) return;
+        this.userTranscript += this.userInterim;
+        this.userInterim = '';
+        this.renderUserTranscript();
+        this.currentUserMessage.classList.remove('interim');
+        this.currentUserMessage = null;
+        this.userTranscript = '';
+        this.userInterrupted = false;
+    }
+
+    addSystemMessage(text) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message system-message';
+        messageDiv.textContent = text;
+        this.chatContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+        return messageDiv;
+    }
+
     startModelMessage() {
         // If there's already a streaming message, finalize it first
         if (this.currentStreamingMessage) {
@@ -37,30 +117,214 @@ export class ChatManager {
 
         const messageDiv = document.createElement('div');
         messageDiv.className = 'chat-message model-message streaming';
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+        messageDiv.appendChild(contentDiv);
         this.chatContainer.appendChild(messageDiv);
         this.currentStreamingMessage = messageDiv;
+        this.lastModelMessage = messageDiv;
         this.currentTranscript = ''; // Reset transcript when starting new message
         this.scrollToBottom();
     }
 
+    /**
+     * Appends text to the message that is streaming, starting one if needed
+     * @param {string} text - Text or transcript chunk, including its whitespace
+     */
     updateStreamingMessage(text) {
         if (!this.currentStreamingMessage) {
             this.startModelMessage();
         }
-        this.currentTranscript += ' ' + text; // Append new text to the transcript
-        this.currentStreamingMessage.textContent = this.currentTranscript;
+        this.currentTranscript += text;
+        this.scheduleRender();
+    }
+
+    /**
+     * Renders the streaming message at most once per frame, chunks can arrive faster than that
+     */
+    scheduleRender() {
+        if (this.renderFrame) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderStreamingMessage();
+        });
+    }
+
+    renderStreamingMessage() {
+        if (!this.currentStreamingMessage) return;
+        renderMarkdown(this.currentStreamingMessage.querySelector('.message-content'), this.currentTranscript);
         this.scrollToBottom();
     }
 
+    /**
+     * Ends the model's turn: finalizes its message and the bubble of the user's spoken turn it answered.
+     * Speech that started while the model's message was streaming interrupted it and is the next
+     * user turn, so its bubble stays open.
+     */
     finalizeStreamingMessage() {
-        if (this.currentStreamingMessage) {
-            this.currentStreamingMessage.classList.remove('streaming');
-            this.currentStreamingMessage = null;
-            this.lastUserMessageType = null;
-            this.currentTranscript = ''; // Reset transcript when finalizing
+        this.completeModelMessage();
+        this.lastUserMessageType = null;
+
+        if (this.currentUserMessage && this.userInterrupted) {
+            this.userInterrupted = false;
+            this.lastUserMessageType = 'audio';
+        } else {
+            this.finalizeUserMessage();
         }
     }
 
+    /**
+     * Renders the streaming message a last time and stops streaming into it
+     */
+    completeModelMessage() {
+        if (!this.currentStreamingMessage) return;
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        this.renderStreamingMessage();
+        this.currentStreamingMessage.classList.remove('streaming');
+        this.currentStreamingMessage = null;
+        this.currentTranscript = ''; // Reset transcript when finalizing
+    }
+
+    /**
+     * Adds the sources of a grounded answer (e.g. from Google Search) as links below the model's message
+     * @param {Object} groundingMetadata - groundingMetadata of the Live API's serverContent
+     */
+    addCitations(groundingMetadata) {
+        const messageDiv = this.currentStreamingMessage || this.lastModelMessage;
+        const sources = (groundingMetadata?.groundingChunks || [])
+            .map(chunk => chunk.web || chunk.retrievedContext)
+            .filter(source => source?.uri && /^https?:/i.test(source.uri));
+        if (!messageDiv || !sources.length) return;
+
+        let citations = messageDiv.querySelector('.message-citations');
+        if (!citations) {
+            citations = document.createElement('ol');
+            citations.className = 'message-citations';
+            messageDiv.appendChild(citations);
+        }
+
+        const known = new Set([...citations.querySelectorAll('a')].map(link => link.href));
+        sources.forEach(({ uri, title }) => {
+            const link = document.createElement('a');
+            link.href = uri;
+            if (known.has(link.href)) return;
+            known.add(link.href);
+
+            link.textContent = title || new URL(uri).hostname;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            const item = document.createElement('li');
+            item.appendChild(link);
+            citations.appendChild(item);
+        });
+        this.scrollToBottom();
+    }
+
+    /**
+     * Adds a collapsible card for a tool call, its result is filled in by updateToolCallCard()
+     * @param {Object} functionCall - { id, name, args } of the call
+     * @returns {HTMLElement} The card
+     */
+    addToolCallCard({ id, name, args }) {
+        // Keep the user's turn open, the model usually continues after the tool call
+        this.completeModelMessage();
+        if (!this.lastUserMessageType) {
+            this.addUserAudioMessage();
+        }
+
+        const card = document.createElement('details');
+        card.className = 'tool-card running';
+
+        const summary = document.createElement('summary');
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'tool-card-name';
+        nameSpan.textContent = `🔧 ${name}`;
+        const status = document.createElement('span');
+        status.className = 'tool-card-status';
+        status.textContent = 'Running…';
+        summary.append(nameSpan, status);
+
+        const body = document.createElement('div');
+        body.className = 'tool-card-body';
+        const argsLabel = document.createElement('div');
+        argsLabel.className = 'tool-card-label';
+        argsLabel.textContent = 'Arguments';
+        const argsPre = document.createElement('pre');
+        argsPre.textContent = JSON.stringify(args ?? {}, null, 2);
+        const resultLabel = document.createElement('div');
+        resultLabel.className = 'tool-card-label';
+        resultLabel.textContent = 'Result';
+        const resultPre = document.createElement('pre');
+        resultPre.className = 'tool-card-result';
+        resultPre.textContent = '…';
+        body.append(argsLabel, argsPre, resultLabel, resultPre);
+
+        card.append(summary, body);
+        this.chatContainer.appendChild(card);
+        if (id) {
+            this.toolCards.set(id, card);
+        }
+        this.scrollToBottom();
+        return card;
+    }
+
+    /**
+     * Shows the outcome of a tool call on its card
+     * @param {string} id - Function call id
+     * @param {Object} response - Response of the ToolManager: { output }, { error } or { cancelled }
+     */
+    updateToolCallCard(id, response) {
+        const card = this.toolCards.get(id);
+        if (!card) return;
+
+        const state = response?.cancelled ? 'cancelled' : response?.error ? 'failed' : 'done';
+        const labels = { done: 'Done', failed: 'Failed', cancelled: 'Cancelled' };
+        card.classList.remove('running');
+        card.classList.add(state);
+        card.querySelector('.tool-card-status').textContent = labels[state];
+
+        const result = response?.error ?? response?.output;
+        card.querySelector('.tool-card-result').textContent = state === 'cancelled'
+            ? 'The model no longer needed this result'
+            : typeof result === 'string' ? result : JSON.stringify(result ?? null, null, 2);
+
+        if (state !== 'cancelled') {
+            this.toolCards.delete(id);
+        }
+    }
+
+    /**
+     * Renders the messages of a stored conversation, e.g. when it is continued
+     * @param {Array<Object>} messages - Messages from the ConversationStore
+     */
+    addStoredMessages(messages) {
+        messages.forEach((message, index) => {
+            if (message.type === 'tool_call' && message.toolCall) {
+                const id = `stored-${index}`;
+                this.addToolCallCard({ id, name: message.toolCall.name, args: message.toolCall.args });
+                this.updateToolCallCard(id, message.toolCall.response);
+            } else if (message.role === 'user') {
+                if (message.type === 'audio') {
+                    this.addUserAudioMessage();
+                    if (message.text) {
+                        this.updateUserTranscript({ text: message.text, isFinal: true, speechFinal: true });
+                    }
+                } else {
+                    this.addUserMessage(message.text);
+                }
+            } else if (message.role === 'model') {
+                this.startModelMessage();
+                this.currentTranscript = message.text;
+                this.finalizeStreamingMessage();
+            } else {
+                this.addSystemMessage(message.text);
+            }
+        });
+    }
+
     scrollToBottom() {
         this.chatContainer.scrollTop = this.chatContainer.scrollHeight;
     }
@@ -68,6 +332,12 @@ export class ChatManager {
     clear() {
         this.chatContainer.innerHTML = '';
         this.currentStreamingMessage = null;
+        this.lastModelMessage = null;
+        this.toolCards.clear();
+        this.currentUserMessage = null;
+        this.userTranscript = '';
+        this.userInterim = '';
+        this.userInterrupted = false;
         this.lastUserMessageType = null;
         this.currentTranscript = '';
     }
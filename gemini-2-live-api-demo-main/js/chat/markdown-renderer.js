@@ -0,0 +1,65 @@
+/**
+ * Renders model output as sanitized Markdown.
+ * The whole text is parsed again on every update, so a message that is still streaming always shows
+ * its current state: unfinished code fences render as an open code block until the closing fence arrives.
+ */
+import { marked } from 'https://cdn.skypack.dev/marked@12';
+import DOMPurify from 'https://cdn.skypack.dev/dompurify@3';
+import hljs from 'https://cdn.skypack.dev/highlight.js@11/lib/common';
+
+marked.setOptions({ gfm: true, breaks: true });
+
+// Links in model output open in a new tab and do not get access to this page
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A') {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+    }
+});
+
+/**
+ * Renders Markdown into an element
+ * @param {HTMLElement} element - Target element, its content is replaced
+ * @param {string} text - Markdown text, may be incomplete while streaming
+ */
+export function renderMarkdown(element, text) {
+    element.innerHTML = DOMPurify.sanitize(marked.parse(text), { USE_PROFILES: { html: true } });
+    element.querySelectorAll('pre > code').forEach(enhanceCodeBlock);
+}
+
+/**
+ * Highlights a code block and adds a copy button to it
+ * @param {HTMLElement} code - The code element inside a pre
+ */
+function enhanceCodeBlock(code) {
+    const language = [...code.classList].find(name => name.startsWith('language-'))?.slice('language-'.length);
+    const source = code.textContent;
+
+    try {
+        const result = language && hljs.getLanguage(language)
+            ? hljs.highlight(source, { language, ignoreIllegals: true })
+            : hljs.highlightAuto(source);
+        code.innerHTML = result.value;
+        code.classList.add('hljs');
+    } catch (error) {
+        console.warn('Failed to highlight code block:', error);
+    }
+
+    const pre = code.parentElement;
+    pre.classList.add('code-block');
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'copy-code-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(source);
+            copyBtn.textContent = 'Copied';
+        } catch (error) {
+            console.error('Failed to copy code:', error);
+            copyBtn.textContent = 'Copy failed';
+        }
+        setTimeout(() => copyBtn.textContent = 'Copy', 1500);
+    });
+    pre.appendChild(copyBtn);
+}
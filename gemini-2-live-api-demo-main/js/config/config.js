@@ -1,4 +1,9 @@
 export const getWebsocketUrl = () => {
+    // Custom endpoint, e.g. the mock server from mock/live-api-server.mjs (ws://localhost:8765)
+    const liveApiUrl = localStorage.getItem('liveApiUrl');
+    if (liveApiUrl) {
+        return liveApiUrl;
+    }
     const apiKey = localStorage.getItem('apiKey');
     return `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=${apiKey}`;
 };
@@ -7,6 +12,20 @@ export const getDeepgramApiKey = () => {
     return localStorage.getItem('deepgramApiKey') || '';
 };
 
+// Transcription provider: 'live-api' (transcripts from the Live API itself), 'deepgram', 'whisper' or 'none'
+export const getTranscriptionProvider = () => {
+    return localStorage.getItem('transcriptionProvider') || 'live-api';
+};
+
+export const getTranscriptionSettings = () => ({
+    provider: getTranscriptionProvider(),
+    language: localStorage.getItem('language') || 'en-US',
+    deepgramApiKey: getDeepgramApiKey(),
+    // No default, port 8000 where the app itself is usually served would receive the audio
+    whisperUrl: localStorage.getItem('whisperUrl') || '',
+    whisperModel: localStorage.getItem('whisperModel') || ''
+});
+
 export const getVeo2AccessToken = () => {
     return localStorage.getItem('veo2AccessToken') || '';
 };
@@ -30,6 +49,47 @@ export const getSecondMeEnabled = () => {
     return true; // Always enabled
 };
 
+// MCP servers, one URL per line (Streamable HTTP endpoints, or /sse endpoints for HTTP+SSE servers)
+export const getMCPServerUrls = () => {
+    return (localStorage.getItem('mcpServers') || '')
+        .split('\n')
+        .map(url => url.trim())
+        .filter(Boolean);
+};
+
+// Turn detection: 'server' (the Live API detects speech), 'vad' (the local voice activity detection
+// marks the user's turns with activityStart/activityEnd) or 'push-to-talk' (the user marks them by
+// holding the Talk button or Space)
+export const getTurnDetection = () => {
+    return localStorage.getItem('turnDetection') || 'server';
+};
+
+// Microphone chunks without speech: 'send', 'throttle' or 'drop'
+export const getSilentAudio = () => {
+    return localStorage.getItem('silentAudio') || 'send';
+};
+
+// Recording of voice sessions with the Record button: { format: 'wav' | 'webm', video: 'none' | 'camera' | 'screen' }
+export const getSessionRecordingOptions = () => {
+    const [format, video = 'none'] = (localStorage.getItem('sessionRecordingFormat') || 'wav').split('-');
+    return { format, video };
+};
+
+// Debugging: record the Live API traffic of every session
+export const getRecordSessions = () => {
+    return localStorage.getItem('recordSessions') === 'true';
+};
+
+// Debugging: overlay with the playback metrics of the model's audio
+export const getShowAudioStats = () => {
+    return localStorage.getItem('showAudioStats') === 'true';
+};
+
+// Debugging: URL of a recorded session to replay instead of connecting, taken from ?replay=<url>
+export const getReplaySessionUrl = () => {
+    return new URLSearchParams(window.location.search).get('replay');
+};
+
 // Audio Configurations
 export const MODEL_SAMPLE_RATE = parseInt(localStorage.getItem('sampleRate')) || 27000;
 
@@ -42,6 +102,10 @@ const thresholds = {
 
 export const getConfig = () => ({
     model: 'models/gemini-2.0-flash-exp',
+    ...(getTranscriptionProvider() === 'live-api' && {
+        outputAudioTranscription: {},
+        inputAudioTranscription: {}
+    }),
     generationConfig: {
         temperature: parseFloat(localStorage.getItem('temperature')) || 1.8,
         top_p: parseFloat(localStorage.getItem('top_p')) || 0.95,
@@ -55,14 +119,17 @@ export const getConfig = () => ({
             }
         }
     },
+    ...(getTurnDetection() !== 'server' && {
+        realtimeInputConfig: {
+            automaticActivityDetection: { disabled: true }
+        }
+    }),
     systemInstruction: {
         parts: [{
             text: localStorage.getItem('systemInstructions') || "You are a helpful assistant"
         }]
     },
-    tools: {
-        functionDeclarations: [],
-    },
+    tools: [],
     safetySettings: [
         {
             "category": "HARM_CATEGORY_HARASSMENT",
@@ -0,0 +1,135 @@
+/**
+ * Keeps track of the microphones, cameras and speakers and of the ones the user picked.
+ * The picks are stored in localStorage. A picked device that is unplugged is replaced by the
+ * system default until it comes back, so the stored pick is never lost.
+ *
+ * Events:
+ * - 'devices_changed': the device lists changed, with { audioinput, videoinput, audiooutput }
+ * - 'device_changed': the device to use for a kind changed, with { kind, deviceId }, '' for the default.
+ *   Also emitted with the same deviceId when the default is in use and the system moved it to another
+ *   device, e.g. from an unplugged headset to the built-in microphone.
+ *
+ * @extends EventEmitter
+ */
+import { EventEmitter } from 'https://cdn.skypack.dev/eventemitter3';
+
+export const DEVICE_KINDS = ['audioinput', 'videoinput', 'audiooutput'];
+
+// localStorage keys of the picked devices
+const STORAGE_KEYS = {
+    audioinput: 'audioInputDevice',
+    videoinput: 'videoInputDevice',
+    audiooutput: 'audioOutputDevice'
+};
+
+export class DeviceManager extends EventEmitter {
+    constructor() {
+        super();
+        this.devices = { audioinput: [], videoinput: [], audiooutput: [] };
+        this.activeDevices = {};        // Device in use per kind, '' for the default
+        this.defaultGroups = {};        // groupId of the system default device per kind
+        this.isListening = false;
+        this.onDeviceChange = () => this.refresh().catch((error) => console.error('Error listing media devices:', error));
+    }
+
+    /**
+     * Whether the audio output can be picked, which needs AudioContext.setSinkId()
+     * @returns {boolean}
+     */
+    get canSelectOutput() {
+        return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+    }
+
+    /**
+     * Lists the devices and follows them being plugged in and unplugged
+     * @returns {Promise<Object>} The devices by kind
+     */
+    async start() {
+        if (!this.isListening) {
+            navigator.mediaDevices.addEventListener('devicechange', this.onDeviceChange);
+            this.isListening = true;
+        }
+        return this.refresh();
+    }
+
+    /**
+     * Lists the devices again, e.g. after the permission was granted and their labels became known.
+     * Emits 'device_changed' for every kind whose device in use is gone or came back.
+     * @returns {Promise<Object>} The devices by kind
+     */
+    async refresh() {
+        const devices = { audioinput: [], videoinput: [], audiooutput: [] };
+        (await navigator.mediaDevices.enumerateDevices()).forEach((device) => {
+            // Without the permission, browsers list a single device without id
+            if (devices[device.kind] && device.deviceId) {
+                devices[device.kind].push(device);
+            }
+        });
+        this.devices = devices;
+
+        DEVICE_KINDS.forEach((kind) => {
+            // Chrome lists the default as its own 'default' entry, other browsers list it first
+            const groupId = (devices[kind].find(device => device.deviceId === 'default') ?? devices[kind][0])?.groupId ?? null;
+            const defaultChanged = kind in this.defaultGroups && this.defaultGroups[kind] !== groupId;
+            this.defaultGroups[kind] = groupId;
+            this.updateActiveDevice(kind, defaultChanged);
+        });
+        // After 'device_changed', so listeners see the switches that were asked for
+        this.emit('devices_changed', devices);
+        return devices;
+    }
+
+    /**
+     * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+     * @returns {string} The device the user picked, '' for the default, even if it is unplugged
+     */
+    getSelectedDevice(kind) {
+        return localStorage.getItem(STORAGE_KEYS[kind]) || '';
+    }
+
+    /**
+     * Picks the device of a kind, '' for the system default
+     * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+     * @param {string} deviceId - Id from enumerateDevices()
+     */
+    selectDevice(kind, deviceId) {
+        if (!STORAGE_KEYS[kind]) throw new Error(`Unknown device kind: ${kind}`);
+        if (deviceId) {
+            localStorage.setItem(STORAGE_KEYS[kind], deviceId);
+        } else {
+            localStorage.removeItem(STORAGE_KEYS[kind]);
+        }
+        this.updateActiveDevice(kind);
+    }
+
+    /**
+     * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+     * @returns {string} The device to use: the picked one if it is plugged in, '' for the default otherwise
+     */
+    getDeviceId(kind) {
+        const deviceId = this.getSelectedDevice(kind);
+        // Before the first listing, the picked device is assumed to be there
+        if (!deviceId || !this.isListening) return deviceId;
+        return this.devices[kind].some(device => device.deviceId === deviceId) ? deviceId : '';
+    }
+
+    /**
+     * Emits 'device_changed' if the device to use for a kind is not the one in use anymore
+     * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+     * @param {boolean} [defaultChanged=false] - Whether the system default moved to another device
+     */
+    updateActiveDevice(kind, defaultChanged = false) {
+        const deviceId = this.getDeviceId(kind);
+        if (!(kind in this.activeDevices)) {
+            this.activeDevices[kind] = deviceId;
+            return;
+        }
+        const followsDefault = !deviceId || deviceId === 'default';
+        if (this.activeDevices[kind] === deviceId && !(followsDefault && defaultChanged)) return;
+
+        this.activeDevices[kind] = deviceId;
+        this.emit('device_changed', { kind, deviceId });
+    }
+}
+
+export default new DeviceManager();
@@ -9,6 +9,7 @@ const elements = {
     micBtn: document.getElementById('micBtn'),
     cameraBtn: document.getElementById('cameraBtn'),
     screenBtn: document.getElementById('screenBtn'),
+    recordBtn: document.getElementById('recordBtn'),
     
     // Preview elements
     cameraPreview: document.getElementById('cameraPreview'),
@@ -38,6 +39,7 @@ const elements = {
     // Main content
     mainContent: document.querySelector('.main-content'),
     chatHistory: document.getElementById('chatHistory'),
+    sessionList: document.getElementById('sessionList'),
     controlPanel: document.querySelector('.control-panel'),
     
     // Gemini settings elements
@@ -50,6 +52,11 @@ const elements = {
     groundingToggle: document.querySelector('.setting-row:nth-child(7) .toggle-switch input'),
     voiceSelect: document.getElementById('voiceSelect'),
     languageSelect: document.getElementById('languageSelect'),
+    turnDetectionSelect: document.getElementById('turnDetectionSelect'),
+    micDeviceSelect: document.getElementById('micDeviceSelect'),
+    cameraDeviceSelect: document.getElementById('cameraDeviceSelect'),
+    speakerDeviceSelect: document.getElementById('speakerDeviceSelect'),
+    speakerDeviceRow: document.querySelector('.speaker-device-row'),
     
     // Action buttons
     copyBtn: document.querySelector('.copy-btn'),
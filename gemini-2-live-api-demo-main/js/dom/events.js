@@ -1,5 +1,9 @@
 import elements from './elements.js';
 import settingsManager from '../settings/settings-manager.js';
+import deviceManager from '../devices/device-manager.js';
+import { VoiceSessionRecorder } from '../recording/voice-session-recorder.js';
+import { AnnotationEditor } from '../annotate/annotation-editor.js';
+import { getSessionRecordingOptions } from '../config/config.js';
 
 /**
  * Updates UI to show disconnect button and hide connect button
@@ -19,6 +23,9 @@ const showConnectButton = () => {
 
 let isCameraActive = false;
 
+// Tokens used by the current session, from the latest usageMetadata of the Live API
+let currentTokens = 0;
+
 /**
  * Ensures the agent is connected and initialized
  * @param {GeminiAgent} agent - The main application agent instance
@@ -34,16 +41,117 @@ const ensureAgentReady = async (agent) => {
     }
 };
 
+/**
+ * Renders the conversations of the session manager into the left sidebar.
+ * Click switches to a session, double click renames it and the × button closes it.
+ * @param {SessionManager} sessionManager - The application's session manager
+ */
+const renderSessionList = (sessionManager) => {
+    if (!elements.sessionList) return;
+
+    elements.sessionList.innerHTML = '';
+    sessionManager.listSessions().forEach((session) => {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+        item.classList.toggle('active', session.id === sessionManager.activeId);
+        item.title = 'Double-click to rename';
+
+        const status = document.createElement('span');
+        status.className = 'session-status';
+        status.classList.toggle('connected', session.agent.connected);
+        status.title = session.agent.connected ? 'Connected' : 'Idle';
+
+        const name = document.createElement('span');
+        name.className = 'session-name';
+        name.textContent = session.name;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'session-close-btn';
+        closeBtn.textContent = '×';
+        closeBtn.title = 'Close conversation';
+        closeBtn.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            try {
+                await sessionManager.closeSession(session.id);
+            } catch (error) {
+                console.error('Error closing session:', error);
+            }
+        });
+
+        item.addEventListener('click', async () => {
+            try {
+                await sessionManager.switchTo(session.id);
+            } catch (error) {
+                console.error('Error switching session:', error);
+            }
+        });
+        item.addEventListener('dblclick', () => {
+            const newName = prompt('Conversation name', session.name);
+            if (newName) {
+                sessionManager.renameSession(session.id, newName);
+            }
+        });
+
+        item.append(status, name, closeBtn);
+        elements.sessionList.appendChild(item);
+    });
+};
+
+// Names of devices whose label is hidden until the permission is granted
+const DEVICE_NAMES = { audioinput: 'Microphone', videoinput: 'Camera', audiooutput: 'Speaker' };
+
+/**
+ * Fills a device picker with the devices of its kind and selects the one the user picked
+ * @param {HTMLSelectElement} select - Device picker
+ * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+ * @param {Array<MediaDeviceInfo>} devices - Devices of the kind
+ */
+const renderDeviceSelect = (select, kind, devices) => {
+    if (!select) return;
+
+    select.innerHTML = '';
+    select.add(new Option('System default', ''));
+    // Chrome lists the default devices again, under the ids 'default' and 'communications'
+    devices
+        .filter(device => device.deviceId !== 'default' && device.deviceId !== 'communications')
+        .forEach((device, index) => {
+            select.add(new Option(device.label || `${DEVICE_NAMES[kind]} ${index + 1}`, device.deviceId));
+        });
+
+    const selected = deviceManager.getSelectedDevice(kind);
+    if (selected && !devices.some(device => device.deviceId === selected)) {
+        // Unplugged, the default is used until it comes back
+        select.add(new Option('Unplugged, using default', selected));
+    }
+    select.value = selected;
+};
+
 /**
  * Sets up event listeners for the application's UI elements
- * @param {GeminiAgent} agent - The main application agent instance
+ * @param {SessionManager} sessionManager - Manages the conversations, the controls act on the active one
+ * @param {HistoryBrowser} [historyBrowser] - Browser of the stored conversations, opened from the sidebar
  */
-export function setupEventListeners(agent) {
+export function setupEventListeners(sessionManager, historyBrowser = null) {
+    const activeAgent = () => sessionManager.activeAgent;
+    let isScreenShareActive = false;
+
+    // Annotated snapshots are sent to the conversation they were taken in, which is the shown one
+    const annotationEditor = new AnnotationEditor({
+        onSend: async (image, question) => {
+            const agent = activeAgent();
+            await ensureAgentReady(agent);
+            await agent.sendAnnotatedImage(image, question);
+        }
+    });
+
     // Disconnect handler (legacy button)
     elements.disconnectBtn.addEventListener('click', async () => {
         try {
-            await agent.disconnect();
+            // Save the recording while the audio is still there
+            await stopSessionRecording();
+            await activeAgent().disconnect();
             showConnectButton();
+            renderSessionList(sessionManager);
             [elements.cameraBtn, elements.screenBtn, elements.micBtn].forEach(btn => btn.classList.remove('active'));
             isCameraActive = false;
         } catch (error) {
@@ -54,17 +162,19 @@ export function setupEventListeners(agent) {
     // Connect handler (legacy button)
     elements.connectBtn.addEventListener('click', async () => {
         try {
-            await ensureAgentReady(agent);
+            await ensureAgentReady(activeAgent());
+            renderSessionList(sessionManager);
         } catch (error) {
             console.error('Error connecting:', error);
         }
     });
 
-    // Microphone toggle handler
+    // Microphone toggle handler, push-to-talk is handled below
     elements.micBtn.addEventListener('click', async () => {
+        if (isPushToTalk()) return;
         try {
-            await ensureAgentReady(agent);
-            await agent.toggleMic();
+            await ensureAgentReady(activeAgent());
+            await activeAgent().toggleMic();
             elements.micBtn.classList.toggle('active');
         } catch (error) {
             console.error('Error toggling microphone:', error);
@@ -72,16 +182,134 @@ export function setupEventListeners(agent) {
         }
     });
 
+    // Push-to-talk: the user talks while the Talk button or Space is held
+    const isPushToTalk = () => activeAgent().turnDetection === 'push-to-talk';
+    let pushToTalkHeld = false;
+
+    const startPushToTalk = async () => {
+        if (pushToTalkHeld) return;
+        pushToTalkHeld = true;
+        elements.micBtn.classList.add('active');
+        try {
+            const agent = activeAgent();
+            await ensureAgentReady(agent);
+            if (!pushToTalkHeld) return;
+            await agent.startTalking();
+            // Released while the microphone was starting
+            if (!pushToTalkHeld) await agent.stopTalking();
+        } catch (error) {
+            console.error('Error starting push-to-talk:', error);
+            pushToTalkHeld = false;
+            elements.micBtn.classList.remove('active');
+        }
+    };
+
+    const stopPushToTalk = async () => {
+        if (!pushToTalkHeld) return;
+        pushToTalkHeld = false;
+        elements.micBtn.classList.remove('active');
+        try {
+            await activeAgent().stopTalking();
+        } catch (error) {
+            console.error('Error stopping push-to-talk:', error);
+        }
+    };
+
+    elements.micBtn.addEventListener('pointerdown', (event) => {
+        if (!isPushToTalk() || event.button !== 0) return;
+        elements.micBtn.setPointerCapture(event.pointerId);
+        startPushToTalk();
+    });
+    ['pointerup', 'pointercancel'].forEach((eventName) => {
+        elements.micBtn.addEventListener(eventName, () => stopPushToTalk());
+    });
+
+    const isTyping = (target) => target.matches?.('input, textarea, select, [contenteditable="true"]');
+    document.addEventListener('keydown', (event) => {
+        if (event.code !== 'Space' || event.repeat || !isPushToTalk() || isTyping(event.target)) return;
+        event.preventDefault();
+        startPushToTalk();
+    });
+    document.addEventListener('keyup', (event) => {
+        if (event.code !== 'Space' || !pushToTalkHeld) return;
+        event.preventDefault();
+        stopPushToTalk();
+    });
+
+    /**
+     * Shows the turn detection of an agent in the sidebar and on the Talk button
+     * @param {GeminiAgent} agent - Agent of the shown session
+     */
+    const showTurnDetection = (agent) => {
+        const pushToTalk = agent.turnDetection === 'push-to-talk';
+        if (elements.turnDetectionSelect) {
+            elements.turnDetectionSelect.value = agent.turnDetection;
+        }
+        elements.micBtn.classList.toggle('push-to-talk', pushToTalk);
+        elements.micBtn.title = pushToTalk ? 'Hold to talk (or hold Space)' : '';
+        // An open microphone is only heard continuously outside of push-to-talk
+        const micOpen = !!(agent.audioRecorder?.isRecording && !agent.audioRecorder.isSuspended);
+        elements.micBtn.classList.toggle('active', micOpen && !pushToTalk);
+    };
+
+    elements.turnDetectionSelect?.addEventListener('change', async () => {
+        try {
+            await stopPushToTalk();
+            await activeAgent().setTurnDetection(elements.turnDetectionSelect.value);
+        } catch (error) {
+            console.error('Error switching turn detection:', error);
+        }
+        showTurnDetection(activeAgent());
+    });
+
+    // Device pickers, the picked devices apply to all sessions and the active one switches right away
+    const deviceSelects = {
+        audioinput: elements.micDeviceSelect,
+        videoinput: elements.cameraDeviceSelect,
+        audiooutput: elements.speakerDeviceSelect
+    };
+    if (elements.speakerDeviceRow && !deviceManager.canSelectOutput) {
+        elements.speakerDeviceRow.style.display = 'none';
+    }
+
+    deviceManager.on('devices_changed', async (devices) => {
+        Object.entries(deviceSelects).forEach(([kind, select]) => renderDeviceSelect(select, kind, devices[kind]));
+        // The device in use may be gone while the device to use stays the same, e.g. an unplugged
+        // headset that was the system default
+        try {
+            await activeAgent().restartEndedStreams();
+        } catch (error) {
+            console.error('Error reopening an ended media stream:', error);
+        }
+    });
+    deviceManager.on('device_changed', async ({ kind, deviceId }) => {
+        try {
+            await activeAgent().switchDevice(kind, deviceId);
+        } catch (error) {
+            console.error(`Error switching to the ${DEVICE_NAMES[kind].toLowerCase()} ${deviceId || '(default)'}:`, error);
+        }
+    });
+
+    Object.entries(deviceSelects).forEach(([kind, select]) => {
+        if (!select) return;
+        select.addEventListener('change', () => deviceManager.selectDevice(kind, select.value));
+        // Labels are only listed once the permission was granted, e.g. after the mic was turned on
+        select.addEventListener('focus', () => {
+            deviceManager.refresh().catch(error => console.error('Error listing media devices:', error));
+        });
+    });
+    deviceManager.start().catch(error => console.error('Error listing media devices:', error));
+
     // Camera toggle handler
     elements.cameraBtn.addEventListener('click', async () => {
         try {
-            await ensureAgentReady(agent);
+            await ensureAgentReady(activeAgent());
             
             if (!isCameraActive) {
-                await agent.startCameraCapture();
+                await activeAgent().startCameraCapture();
                 elements.cameraBtn.classList.add('active');
             } else {
-                await agent.stopCameraCapture();
+                await activeAgent().stopCameraCapture();
                 elements.cameraBtn.classList.remove('active');
             }
             isCameraActive = !isCameraActive;
@@ -92,25 +320,147 @@ export function setupEventListeners(agent) {
         }
     });
 
-    // Screen sharing handler
-    let isScreenShareActive = false;
-    
-    // Listen for screen share stopped events (from native browser controls)
-    agent.on('screenshare_stopped', () => {
-        elements.screenBtn.classList.remove('active');
+    // Session recording, every agent keeps its recorder because agent listeners cannot be removed
+    const voiceRecorders = new WeakMap();
+    const voiceRecorderOf = (agent) => {
+        if (!voiceRecorders.has(agent)) {
+            voiceRecorders.set(agent, new VoiceSessionRecorder(agent));
+        }
+        return voiceRecorders.get(agent);
+    };
+    let recordingAgent = null;
+
+    // Stops the recording, if there is one, and downloads it with its transcript
+    async function stopSessionRecording() {
+        if (!recordingAgent) return;
+        const agent = recordingAgent;
+        recordingAgent = null;
+        elements.recordBtn?.classList.remove('active');
+        try {
+            await voiceRecorderOf(agent).stopAndDownload();
+        } catch (error) {
+            console.error('Error saving the session recording:', error);
+        }
+    }
+
+    elements.recordBtn?.addEventListener('click', async () => {
+        if (recordingAgent) {
+            await stopSessionRecording();
+            return;
+        }
+        try {
+            const agent = activeAgent();
+            await ensureAgentReady(agent);
+            await voiceRecorderOf(agent).start(getSessionRecordingOptions());
+            recordingAgent = agent;
+            elements.recordBtn.classList.add('active');
+        } catch (error) {
+            console.error('Error starting the session recording:', error);
+        }
+    });
+
+    // Reset the controls once the agent gave up reconnecting and released its resources
+    const resetControls = () => {
+        showConnectButton();
+        [elements.cameraBtn, elements.screenBtn, elements.micBtn].forEach(btn => btn.classList.remove('active'));
+        elements.micBtn.classList.remove('listening');
+        pushToTalkHeld = false;
+        isCameraActive = false;
         isScreenShareActive = false;
-        console.info('Screen share stopped');
+    };
+
+    /**
+     * Updates the controls on events of a session's agent, as long as that session is shown
+     * @param {Object} session - Session created by the session manager
+     */
+    const bindSession = (session) => {
+        const { agent } = session;
+        const isShown = () => session.id === sessionManager.activeId;
+
+        agent.on('disconnected', () => {
+            if (recordingAgent === agent) stopSessionRecording();
+        });
+
+        // Listen for screen share stopped events (from native browser controls)
+        agent.on('screenshare_stopped', () => {
+            if (!isShown()) return;
+            elements.screenBtn.classList.remove('active');
+            isScreenShareActive = false;
+            console.info('Screen share stopped');
+        });
+
+        agent.on('reconnect_failed', () => {
+            renderSessionList(sessionManager);
+            if (isShown()) resetControls();
+        });
+
+        // The agent disconnects by itself on errors that reconnecting cannot fix
+        agent.on('server_error', (error) => {
+            if (error.retryable) return;
+            renderSessionList(sessionManager);
+            if (isShown()) resetControls();
+        });
+
+        agent.on('turn_detection_changed', () => {
+            if (isShown()) showTurnDetection(agent);
+        });
+
+        // The mic button shows when the voice activity detection hears the user
+        agent.on('speech_start', () => {
+            if (isShown()) elements.micBtn.classList.add('listening');
+        });
+        agent.on('speech_end', () => {
+            if (isShown()) elements.micBtn.classList.remove('listening');
+        });
+
+        // The snapshot buttons on the camera and screen previews open the annotation editor
+        agent.on('snapshot', (frame) => {
+            if (isShown()) annotationEditor.show(frame);
+        });
+
+        // Show the token usage reported by the server
+        agent.on('usage_metadata', (usage) => {
+            if (!isShown() || typeof usage.totalTokenCount !== 'number') return;
+            currentTokens = usage.totalTokenCount;
+            updateTokenCount(elements.modelSelect?.value || localStorage.getItem('modelName') || 'Gemini 2.5 Pro Preview 05-06');
+        });
+    };
+
+    sessionManager.listSessions().forEach(bindSession);
+    sessionManager.on('session_created', bindSession);
+
+    // The previous session released its media devices, show the state of the new one
+    sessionManager.on('session_switched', ({ current }) => {
+        // The previous session released the microphone and speakers, nothing is left to record
+        stopSessionRecording();
+        annotationEditor.hide();
+        resetControls();
+        showTurnDetection(current.agent);
+        // Devices picked while the session was in the background
+        current.agent.setAudioOutputDevice(deviceManager.getDeviceId('audiooutput'))
+            .catch(error => console.error('Error switching the speaker:', error));
+        if (current.agent.connected) {
+            showDisconnectButton();
+        }
+        currentTokens = current.usage?.totalTokenCount || 0;
+        updateTokenCount(elements.modelSelect?.value || localStorage.getItem('modelName') || 'Gemini 2.5 Pro Preview 05-06');
+        renderSessionList(sessionManager);
     });
+    ['session_created', 'session_closed', 'session_suspended', 'session_updated'].forEach((eventName) => {
+        sessionManager.on(eventName, () => renderSessionList(sessionManager));
+    });
+    renderSessionList(sessionManager);
 
+    // Screen sharing handler
     elements.screenBtn.addEventListener('click', async () => {
         try {
-            await ensureAgentReady(agent);
+            await ensureAgentReady(activeAgent());
             
             if (!isScreenShareActive) {
-                await agent.startScreenShare();
+                await activeAgent().startScreenShare();
                 elements.screenBtn.classList.add('active');
             } else {
-                await agent.stopScreenShare();
+                await activeAgent().stopScreenShare();
                 elements.screenBtn.classList.remove('active');
             }
             isScreenShareActive = !isScreenShareActive;
@@ -124,9 +474,9 @@ export function setupEventListeners(agent) {
     // Message sending handlers
     const sendMessage = async () => {
         try {
-            await ensureAgentReady(agent);
+            await ensureAgentReady(activeAgent());
             const text = elements.messageInput.value.trim();
-            await agent.sendText(text);
+            await activeAgent().sendText(text);
             elements.messageInput.value = '';
         } catch (error) {
             console.error('Error sending message:', error);
@@ -180,7 +530,7 @@ export function setupEventListeners(agent) {
         });
     }
     
-    // Chat button in left sidebar
+    // Chat button in left sidebar starts a new conversation, earlier ones stay in the session list
     const chatBtn = document.querySelector('.chat-btn');
     if (chatBtn) {
         chatBtn.addEventListener('click', async () => {
@@ -188,24 +538,24 @@ export function setupEventListeners(agent) {
                 // Show chat interface
                 showSection('chatInterface');
                 
-                // Clear chat history
-                if (elements.chatHistory) {
-                    elements.chatHistory.innerHTML = '';
-                }
+                const session = sessionManager.createSession();
+                await sessionManager.switchTo(session.id);
+                await ensureAgentReady(session.agent);
+                renderSessionList(sessionManager);
                 
-                // Disconnect and reconnect to start fresh
-                if (agent.connected) {
-                    await agent.disconnect();
-                }
-                await ensureAgentReady(agent);
-                
-                console.log('Started new chat');
+                console.log(`Started new chat ${session.name}`);
             } catch (error) {
                 console.error('Error starting new chat:', error);
             }
         });
     }
     
+    // History button in left sidebar opens the stored conversations
+    const historyBtn = document.querySelector('.history-btn');
+    if (historyBtn && historyBrowser) {
+        historyBtn.addEventListener('click', () => historyBrowser.show());
+    }
+    
     // Tool buttons in right sidebar
     const socialStationBtn = document.querySelector('.social-station-btn');
     if (socialStationBtn) {
@@ -414,9 +764,6 @@ function updateTokenCount(modelName) {
     const tokenCountElement = document.querySelector('.token-count');
     if (!tokenCountElement) return;
     
-    // Get current token usage (this would normally come from the API)
-    const currentTokens = 599;
-    
     // Set max tokens based on model
     let maxTokens = 1048576; // Default for Gemini 2.5
     
@@ -427,7 +774,7 @@ function updateTokenCount(modelName) {
     }
     
     // Update display
-    tokenCountElement.textContent = `${currentTokens} / ${maxTokens.toLocaleString()}`;
+    tokenCountElement.textContent = `${currentTokens.toLocaleString()} / ${maxTokens.toLocaleString()}`;
 }
 
 // Call the setup function
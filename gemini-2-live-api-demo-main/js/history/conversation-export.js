@@ -0,0 +1,110 @@
+/**
+ * Converts stored conversations into Markdown, JSON and Live API clientContent turns
+ */
+
+const ROLE_LABELS = { user: 'User', model: 'Gemini', system: 'System' };
+
+/**
+ * Describes a message as a single line of text, used where only plain text fits
+ * @param {Object} message - Stored message
+ * @returns {string} Text of the message
+ */
+function describeMessage(message) {
+    if (message.type === 'tool_call' && message.toolCall) {
+        const { name, args, response } = message.toolCall;
+        return `Called tool ${name} with ${JSON.stringify(args ?? {})}, result: ${JSON.stringify(response ?? null)}`;
+    }
+    if (message.type === 'audio') {
+        return message.text ? `(spoken) ${message.text}` : '(spoken message, no transcript)';
+    }
+    return message.text || '';
+}
+
+/**
+ * Renders a conversation as Markdown
+ * @param {Object} conversation - Stored conversation
+ * @param {Array<Object>} messages - Its messages
+ * @returns {string} Markdown document
+ */
+export function conversationToMarkdown(conversation, messages) {
+    const lines = [
+        `# ${conversation.title || 'Untitled conversation'}`,
+        '',
+        `_Started ${new Date(conversation.createdAt).toLocaleString()}, ${messages.length} messages_`,
+        ''
+    ];
+
+    messages.forEach((message) => {
+        const time = new Date(message.timestamp).toLocaleTimeString();
+        const label = ROLE_LABELS[message.role] || message.role;
+
+        if (message.type === 'tool_call' && message.toolCall) {
+            const { name, args, response } = message.toolCall;
+            lines.push(`**Tool call: ${name}** (${time})`, '', '```json', JSON.stringify({ args, response }, null, 2), '```', '');
+            return;
+        }
+        lines.push(`**${label}** (${time})`, '', describeMessage(message), '');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Serializes a conversation with its messages as JSON
+ * @param {Object} conversation - Stored conversation
+ * @param {Array<Object>} messages - Its messages
+ * @returns {string} Pretty-printed JSON
+ */
+export function conversationToJSON(conversation, messages) {
+    return JSON.stringify({
+        ...conversation,
+        messages: messages.map(({ conversationId, ...message }) => message)
+    }, null, 2);
+}
+
+/**
+ * Converts stored messages into clientContent turns, so the model can continue the conversation.
+ * Consecutive messages of the same role are merged into one turn, tool calls become model text
+ * and audio turns without a transcript are left out.
+ * @param {Array<Object>} messages - Stored messages in chronological order
+ * @returns {Array<Object>} Turns of the form { role, parts: [{ text }] }
+ */
+export function messagesToTurns(messages) {
+    const turns = [];
+
+    messages.forEach((message) => {
+        if (message.role === 'system') return;
+        if (message.type === 'audio' && !message.text) return;
+
+        const role = message.type === 'tool_call' ? 'model' : message.role;
+        const text = describeMessage(message);
+        if (!text.trim()) return;
+
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.parts[0].text += `\n${text}`;
+        } else {
+            turns.push({ role, parts: [{ text }] });
+        }
+    });
+
+    return turns;
+}
+
+/**
+ * Downloads text content as a file
+ * @param {string} filename - File name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,111 @@
+/**
+ * Writes the conversation of a GeminiAgent into a ConversationStore.
+ * Streamed model text is collected per turn and stored once the turn completes or is interrupted.
+ * A model turn without a preceding user message is answering spoken input, so an audio marker
+ * (with the user's transcript, if there is one) is stored before it.
+ */
+export class ConversationLogger {
+    /**
+     * @param {ConversationStore} store - Store to write to
+     * @param {Object} [options]
+     * @param {string} [options.conversationId] - Continue an existing conversation instead of creating one on the first message
+     */
+    constructor(store, { conversationId = null } = {}) {
+        this.store = store;
+        this.conversationId = conversationId;
+        this.conversationPromise = null;
+        this.writeQueue = Promise.resolve();
+
+        this.modelText = '';
+        this.modelTurnStartedAt = null;
+        this.userText = '';                 // Transcript of the user's current spoken turn
+        // Whether the user typed since the last model turn. A new conversation starts with the model's
+        // greeting, which answers no user message, a continued one with whatever the user says next.
+        this.userTurnPending = !conversationId;
+    }
+
+    /**
+     * Starts logging the events of an agent
+     * @param {GeminiAgent} agent - The agent
+     */
+    attach(agent) {
+        agent.on('text_sent', (text) => {
+            this.flushModelTurn();
+            this.userTurnPending = true;
+            this.write({ role: 'user', type: 'text', text });
+        });
+
+        agent.on('user_transcription', ({ text }) => {
+            this.userText += text;
+        });
+
+        // The agent emits a reply either as text or as the transcript of the model's speech, never as both
+        agent.on('model_text', (text) => this.appendModelText(text));
+        agent.on('transcription', ({ text }) => this.appendModelText(text));
+
+        agent.on('turn_complete', () => this.flushModelTurn());
+        agent.on('interrupted', () => this.flushModelTurn());
+
+        agent.on('tool_calls', (calls) => {
+            calls.forEach(({ name, args, response }) => {
+                this.write({ role: 'model', type: 'tool_call', text: '', toolCall: { name, args, response } });
+            });
+        });
+    }
+
+    /**
+     * Adds streamed model text to the current turn
+     * @param {string} text - Text or transcript chunk, including its whitespace
+     */
+    appendModelText(text) {
+        if (this.modelTurnStartedAt === null) {
+            this.modelTurnStartedAt = Date.now();
+        }
+        this.modelText += text;
+    }
+
+    /**
+     * Stores the model turn collected so far, preceded by an audio marker if the user spoke
+     */
+    flushModelTurn() {
+        const text = this.modelText.trim();
+        const startedAt = this.modelTurnStartedAt ?? Date.now();
+        this.modelText = '';
+        this.modelTurnStartedAt = null;
+        if (!text) return;
+
+        if (!this.userTurnPending) {
+            this.write({ role: 'user', type: 'audio', text: this.userText.trim(), timestamp: startedAt });
+        }
+        this.userText = '';
+        this.userTurnPending = false;
+        this.write({ role: 'model', type: 'text', text, timestamp: startedAt });
+    }
+
+    /**
+     * Queues a message for the store, creating the conversation with the first message
+     * @param {Object} message - Message as accepted by ConversationStore.addMessage()
+     */
+    write(message) {
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                const conversationId = await this.getConversationId();
+                await this.store.addMessage(conversationId, message);
+            })
+            .catch(error => console.error('Failed to store conversation message:', error));
+    }
+
+    /**
+     * @returns {Promise<string>} Id of the conversation being logged, created on first use
+     */
+    async getConversationId() {
+        if (this.conversationId) return this.conversationId;
+
+        if (!this.conversationPromise) {
+            this.conversationPromise = this.store.createConversation();
+        }
+        const conversation = await this.conversationPromise;
+        this.conversationId = conversation.id;
+        return this.conversationId;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Persists conversations in IndexedDB so they survive a reload.
+ * A conversation holds its metadata, its messages are stored separately and reference it by id:
+ *   conversations: { id, title, createdAt, updatedAt, messageCount }
+ *   messages:      { id, conversationId, role, type, text, toolCall, timestamp }
+ * Message roles are 'user', 'model' and 'system'. Types are 'text', 'audio' (a spoken user turn,
+ * with its transcript as text when one is available) and 'tool_call' (with { name, args, response }).
+ */
+const DB_NAME = 'gemini-live-history';
+const DB_VERSION = 1;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<any>} Resolves with the request's result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves once a transaction has been committed
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function completion(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+export class ConversationStore {
+    /**
+     * @param {string} [dbName] - Name of the IndexedDB database
+     */
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * Opens the database, creating the object stores on first use
+     * @returns {Promise<IDBDatabase>} The database
+     */
+    open() {
+        if (!this.openPromise) {
+            const request = indexedDB.open(this.dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+                conversations.createIndex('updatedAt', 'updatedAt');
+                const messages = db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+                messages.createIndex('conversationId', 'conversationId');
+            };
+            this.openPromise = promisify(request).then((db) => {
+                this.db = db;
+                return db;
+            }).catch((error) => {
+                this.openPromise = null;
+                throw error;
+            });
+        }
+        return this.openPromise;
+    }
+
+    /**
+     * Creates an empty conversation
+     * @param {Object} [options]
+     * @param {string} [options.title] - Title, defaults to one derived from the first user message
+     * @returns {Promise<Object>} The conversation
+     */
+    async createConversation({ title = '' } = {}) {
+        const db = await this.open();
+        const now = Date.now();
+        const conversation = { id: crypto.randomUUID(), title, createdAt: now, updatedAt: now, messageCount: 0 };
+
+        const transaction = db.transaction('conversations', 'readwrite');
+        transaction.objectStore('conversations').add(conversation);
+        await completion(transaction);
+        return conversation;
+    }
+
+    /**
+     * Appends a message to a conversation and updates the conversation's metadata
+     * @param {string} conversationId - Conversation id
+     * @param {Object} message - { role, type, text, toolCall, timestamp }
+     * @returns {Promise<Object>} The stored message with its id
+     */
+    async addMessage(conversationId, { role, type = 'text', text = '', toolCall = null, timestamp = Date.now() }) {
+        const db = await this.open();
+        const message = { conversationId, role, type, text, toolCall, timestamp };
+
+        const transaction = db.transaction(['conversations', 'messages'], 'readwrite');
+        const conversations = transaction.objectStore('conversations');
+        const conversation = await promisify(conversations.get(conversationId));
+        if (!conversation) {
+            transaction.abort();
+            throw new Error(`Unknown conversation ${conversationId}`);
+        }
+
+        message.id = await promisify(transaction.objectStore('messages').add(message));
+        conversation.messageCount++;
+        conversation.updatedAt = Date.now();
+        if (!conversation.title && role === 'user' && text.trim()) {
+            conversation.title = text.trim().slice(0, 60);
+        }
+        conversations.put(conversation);
+        await completion(transaction);
+        return message;
+    }
+
+    /**
+     * @param {string} id - Conversation id
+     * @returns {Promise<Object|undefined>} The conversation
+     */
+    async getConversation(id) {
+        const db = await this.open();
+        return promisify(db.transaction('conversations').objectStore('conversations').get(id));
+    }
+
+    /**
+     * @param {string} conversationId - Conversation id
+     * @returns {Promise<Array<Object>>} Messages of the conversation in the order they were stored
+     */
+    async getMessages(conversationId) {
+        const db = await this.open();
+        const index = db.transaction('messages').objectStore('messages').index('conversationId');
+        const messages = await promisify(index.getAll(conversationId));
+        return messages.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} All conversations, most recently updated first
+     */
+    async listConversations() {
+        const db = await this.open();
+        const conversations = await promisify(db.transaction('conversations').objectStore('conversations').getAll());
+        return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Renames a conversation
+     * @param {string} id - Conversation id
+     * @param {string} title - New title
+     */
+    async renameConversation(id, title) {
+        const db = await this.open();
+        const transaction = db.transaction('conversations', 'readwrite');
+        const conversations = transaction.objectStore('conversations');
+        const conversation = await promisify(conversations.get(id));
+        if (conversation) {
+            conversation.title = title;
+            conversations.put(conversation);
+        }
+        await completion(transaction);
+    }
+
+    /**
+     * Deletes a conversation with all its messages
+     * @param {string} id - Conversation id
+     */
+    async deleteConversation(id) {
+        const db = await this.open();
+        const transaction = db.transaction(['conversations', 'messages'], 'readwrite');
+        transaction.objectStore('conversations').delete(id);
+
+        const index = transaction.objectStore('messages').index('conversationId');
+        const keys = await promisify(index.getAllKeys(id));
+        keys.forEach(key => transaction.objectStore('messages').delete(key));
+        await completion(transaction);
+    }
+
+    /**
+     * Full-text search over conversation titles and message texts.
+     * A conversation matches when every word of the query occurs in its title or messages, case-insensitively.
+     * @param {string} query - Search words
+     * @returns {Promise<Array<{conversation: Object, matches: Array<Object>}>>} Matching conversations,
+     *   most recently updated first, with the messages that contain at least one of the words
+     */
+    async search(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const conversations = await this.listConversations();
+        if (!terms.length) {
+            return conversations.map(conversation => ({ conversation, matches: [] }));
+        }
+
+        const db = await this.open();
+        const messages = await promisify(db.transaction('messages').objectStore('messages').getAll());
+        const byConversation = new Map();
+        messages.forEach((message) => {
+            if (!byConversation.has(message.conversationId)) {
+                byConversation.set(message.conversationId, []);
+            }
+            byConversation.get(message.conversationId).push(message);
+        });
+
+        const searchableText = (message) => {
+            const toolText = message.toolCall ? `${message.toolCall.name} ${JSON.stringify(message.toolCall.args)}` : '';
+            return `${message.text || ''} ${toolText}`.toLowerCase();
+        };
+
+        return conversations.flatMap((conversation) => {
+            const conversationMessages = byConversation.get(conversation.id) || [];
+            const haystack = [conversation.title.toLowerCase(), ...conversationMessages.map(searchableText)].join('\n');
+            if (!terms.every(term => haystack.includes(term))) {
+                return [];
+            }
+            const matches = conversationMessages.filter((message) => {
+                const text = searchableText(message);
+                return terms.some(term => text.includes(term));
+            });
+            return [{ conversation, matches }];
+        });
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Browser for the conversations in the ConversationStore, shown in the #historySection overlay.
+ * Lists conversations with full-text search and shows a selected conversation with options to
+ * export it as Markdown or JSON, continue it with the model, or delete it.
+ */
+import { conversationToMarkdown, conversationToJSON, downloadFile } from './conversation-export.js';
+
+const SEARCH_DELAY = 200;
+
+export class HistoryBrowser {
+    /**
+     * @param {Object} options
+     * @param {ConversationStore} options.store - Store to browse
+     * @param {Function} [options.onContinue] - Called with (conversation, messages) when the user continues a conversation
+     */
+    constructor({ store, onContinue = null }) {
+        this.store = store;
+        this.onContinue = onContinue;
+        this.section = document.getElementById('historySection');
+        this.searchInput = document.getElementById('historySearch');
+        this.list = document.getElementById('historyList');
+        this.detail = document.getElementById('historyDetail');
+        this.searchTimer = null;
+        this.selectedId = null;
+
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.refresh(), SEARCH_DELAY);
+        });
+    }
+
+    /**
+     * Opens the history overlay with an up-to-date list
+     */
+    async show() {
+        this.section.classList.add('active');
+        await this.refresh();
+    }
+
+    hide() {
+        this.section.classList.remove('active');
+    }
+
+    /**
+     * Reloads the conversation list for the current search query
+     */
+    async refresh() {
+        try {
+            const results = await this.store.search(this.searchInput.value);
+            this.renderList(results);
+        } catch (error) {
+            console.error('Failed to load conversation history:', error);
+            this.list.innerHTML = '<div class="empty-state">History is not available in this browser</div>';
+        }
+    }
+
+    /**
+     * @param {Array<{conversation: Object, matches: Array<Object>}>} results - Search results
+     */
+    renderList(results) {
+        this.list.innerHTML = '';
+        if (!results.length) {
+            const query = this.searchInput.value.trim();
+            this.list.innerHTML = `<div class="empty-state">${query ? 'No matching conversations' : 'No conversations yet'}</div>`;
+            return;
+        }
+
+        results.forEach(({ conversation, matches }) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.classList.toggle('active', conversation.id === this.selectedId);
+
+            const title = document.createElement('div');
+            title.className = 'history-item-title';
+            title.textContent = conversation.title || 'Voice conversation';
+
+            const meta = document.createElement('div');
+            meta.className = 'history-item-meta';
+            meta.textContent = `${new Date(conversation.updatedAt).toLocaleString()} · ${conversation.messageCount} messages`;
+
+            item.append(title, meta);
+
+            // Show where the search words were found
+            matches.slice(0, 2).forEach((match) => {
+                const snippet = document.createElement('div');
+                snippet.className = 'history-item-snippet';
+                snippet.textContent = this.snippet(match.text || match.toolCall?.name || '');
+                item.appendChild(snippet);
+            });
+
+            item.addEventListener('click', () => this.select(conversation.id));
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Cuts a message down to the part around the first search word
+     * @param {string} text - Message text
+     * @returns {string} Snippet of at most about 100 characters
+     */
+    snippet(text) {
+        const term = this.searchInput.value.toLowerCase().split(/\s+/).find(word => word && text.toLowerCase().includes(word));
+        const position = term ? text.toLowerCase().indexOf(term) : 0;
+        const start = Math.max(0, position - 40);
+        return `${start > 0 ? '…' : ''}${text.slice(start, start + 100)}${text.length > start + 100 ? '…' : ''}`;
+    }
+
+    /**
+     * Shows a conversation with its messages and actions
+     * @param {string} id - Conversation id
+     */
+    async select(id) {
+        this.selectedId = id;
+
+        const conversation = await this.store.getConversation(id);
+        if (!conversation) {
+            await this.refresh();
+            return;
+        }
+        const messages = await this.store.getMessages(id);
+        this.renderDetail(conversation, messages);
+        await this.refresh();
+    }
+
+    /**
+     * @param {Object} conversation - Stored conversation
+     * @param {Array<Object>} messages - Its messages
+     */
+    renderDetail(conversation, messages) {
+        this.detail.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'history-detail-header';
+
+        const title = document.createElement('h2');
+        title.textContent = conversation.title || 'Voice conversation';
+        header.appendChild(title);
+
+        const filename = `conversation-${new Date(conversation.createdAt).toISOString().replace(/[:.]/g, '-')}`;
+        const actions = [
+            ['Export Markdown', () => downloadFile(`${filename}.md`, conversationToMarkdown(conversation, messages), 'text/markdown')],
+            ['Export JSON', () => downloadFile(`${filename}.json`, conversationToJSON(conversation, messages), 'application/json')],
+            ['Continue', async () => {
+                this.hide();
+                await this.onContinue?.(conversation, messages);
+            }],
+            ['Delete', async () => {
+                if (!confirm(`Delete "${title.textContent}"?`)) return;
+                await this.store.deleteConversation(conversation.id);
+                this.selectedId = null;
+                this.detail.innerHTML = '<div class="empty-state">Select a conversation</div>';
+                await this.refresh();
+            }]
+        ];
+
+        const buttons = document.createElement('div');
+        buttons.className = 'history-actions';
+        actions.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'secondary-btn';
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                try {
+                    await action();
+                } catch (error) {
+                    console.error(`${label} failed:`, error);
+                }
+            });
+            buttons.appendChild(button);
+        });
+        header.appendChild(buttons);
+        this.detail.appendChild(header);
+
+        const transcript = document.createElement('div');
+        transcript.className = 'history-transcript';
+        messages.forEach((message) => {
+            const div = document.createElement('div');
+            if (message.type === 'tool_call' && message.toolCall) {
+                div.className = 'chat-message system-message';
+                div.textContent = `Tool call ${message.toolCall.name}(${JSON.stringify(message.toolCall.args ?? {})})`;
+            } else {
+                div.className = `chat-message ${message.role}-message`;
+                div.textContent = message.type === 'audio' ? (message.text || 'User sent audio') : message.text;
+            }
+            div.title = new Date(message.timestamp).toLocaleString();
+            transcript.appendChild(div);
+        });
+        this.detail.appendChild(transcript);
+    }
+}
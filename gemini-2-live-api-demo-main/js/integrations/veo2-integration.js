@@ -17,7 +17,7 @@ export async function registerVeo2Tools(mcpClient) {
   await mcpClient.registerTool(
     'generate_video',
     'Generate a video using Veo 2 API',
-    async (args) => {
+    async (args, { signal } = {}) => {
       const { prompt, duration, aspectRatio, imageBase64, enhancePrompt } = args;
       
       console.log('[Veo2Integration] Tool called: generate_video');
@@ -35,7 +35,8 @@ export async function registerVeo2Tools(mcpClient) {
         duration: duration || 3,
         aspectRatio: aspectRatio || '16:9',
         imageBase64,
-        enhancePrompt: enhancePrompt ?? false
+        enhancePrompt: enhancePrompt ?? false,
+        signal
       };
       
       try {
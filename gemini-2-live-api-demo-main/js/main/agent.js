@@ -9,37 +9,55 @@ import { AudioRecorder } from '../audio/recorder.js';
 import { AudioStreamer } from '../audio/streamer.js';
 import { AudioVisualizer } from '../audio/visualizer.js';
 
-import { DeepgramTranscriber } from '../transcribe/deepgram.js';
+import { createTranscriber } from '../transcribe/create-transcriber.js';
+import { base64ToArrayBuffer } from '../utils/utils.js';
 
 import { CameraManager } from '../camera/camera.js';
 import { ScreenManager } from '../screen/screen.js';
+import { FrameCompositor } from '../capture/frame-compositor.js';
+import deviceManager from '../devices/device-manager.js';
 
 export class GeminiAgent{
     constructor({
         name = 'GeminiAgent',
         url,
         config,
-        deepgramApiKey = null,
+        transcription = { provider: 'none' },
         transcribeModelsSpeech = true,
         transcribeUsersSpeech = false,
         modelSampleRate = 24000,
-        toolManager = null
+        turnDetection = 'server',
+        silentAudio = 'send',
+        toolManager = null,
+        webSocketFactory = undefined,
+        sessionRecorder = null
     } = {}) {
         if (!url) throw new Error('WebSocket URL is required');
         if (!config) throw new Error('Config is required');
 
         this.initialized = false;
         this.connected = false;
+        this.reconnecting = false;
+        this.pausedStreams = null;          // Media streams that were active when the connection dropped
+        this.active = true;                 // Only the active agent plays audio and uses the media devices
+        this.turnHistory = [];              // Conversation turns, kept across connections to resume the conversation
 
         // For audio components
         this.audioContext = null;
         this.audioRecorder = null;
         this.audioStreamer = null;
+        this.turnDetection = turnDetection;     // 'server', 'vad' (local voice activity detection) or 'push-to-talk'
+        this.isTalking = false;                 // Push-to-talk is held
+        this.talkingPromise = null;
+        this.deviceSwitch = Promise.resolve();  // Media device switch in progress
+        this.silentAudio = silentAudio;         // What the recorder does with chunks without speech
         
         // For transcribers
         this.transcribeModelsSpeech = transcribeModelsSpeech;
         this.transcribeUsersSpeech = transcribeUsersSpeech;
-        this.deepgramApiKey = deepgramApiKey;
+        this.transcription = transcription;   // { provider, language, deepgramApiKey, whisperUrl, whisperModel }
+        this.modelTranscriber = null;
+        this.userTranscriber = null;
         this.modelSampleRate = modelSampleRate;
 
         // Initialize screen & camera settings
@@ -47,12 +65,19 @@ export class GeminiAgent{
         this.captureInterval = 1000 / this.fps;
         this.resizeWidth = localStorage.getItem('resizeWidth') || '640';
         this.quality = localStorage.getItem('quality') || '0.4';
+        // Unchanged frames are skipped, at least one is sent every keyframe interval
+        const changeDetection = {
+            threshold: parseFloat(localStorage.getItem('frameChangeThreshold') ?? '2') / 100,
+            keyframeInterval: parseFloat(localStorage.getItem('keyframeInterval') || '10') * 1000
+        };
         
         // Initialize camera
         this.cameraManager = new CameraManager({
             width: this.resizeWidth,
             quality: this.quality,
-            facingMode: localStorage.getItem('facingMode') || 'environment'
+            facingMode: localStorage.getItem('facingMode') || 'environment',
+            changeDetection,
+            onSnapshot: (frame) => this.emit('snapshot', frame)
         });
         this.cameraInterval = null;
 
@@ -60,36 +85,53 @@ export class GeminiAgent{
         this.screenManager = new ScreenManager({
             width: this.resizeWidth,
             quality: this.quality,
+            changeDetection,
+            sendThumbnail: localStorage.getItem('sendScreenThumbnail') === 'true',
+            onSnapshot: (frame) => this.emit('snapshot', frame),
             onStop: () => {
-                // Clean up interval and emit event when screen sharing stops
-                if (this.screenInterval) {
-                    clearInterval(this.screenInterval);
-                    this.screenInterval = null;
+                // Send the camera alone again and emit event when screen sharing stops
+                if (this.stopCaptureIntervals()) {
+                    this.startCaptureIntervals();
                 }
                 // Emit screen share stopped event
                 this.emit('screenshare_stopped');
             }
         });
         this.screenInterval = null;
+
+        // With both running, camera and screen are sent composed into one frame
+        this.compositor = new FrameCompositor({
+            width: this.resizeWidth,
+            quality: this.quality,
+            layout: localStorage.getItem('captureLayout') || 'pip-bottom-right',
+            changeDetection
+        });
+        this.compositeInterval = null;
         
-        // Add function declarations to config
+        // Add function declarations and native tools to config
         this.toolManager = toolManager;
-        config.tools.functionDeclarations = toolManager.getToolDeclarations() || [];
+        config.tools = toolManager.getTools();
         this.config = config;
 
         this.name = name;
         this.url = url;
         this.client = null;
+
+        // Optional socket factory (e.g. session replay) and recorder of the websocket traffic
+        this.webSocketFactory = webSocketFactory;
+        this.sessionRecorder = sessionRecorder;
     }
 
     setupEventListeners() {
         // Handle incoming audio data from the model
         this.client.on('audio', async (data) => {
             try {
-                if (!this.audioStreamer.isInitialized) {
-                    this.audioStreamer.initialize();
+                if (this.active) {
+                    if (!this.audioStreamer.isInitialized) {
+                        this.audioStreamer.initialize();
+                    }
+                    this.audioStreamer.streamAudio(new Uint8Array(data));
                 }
-                this.audioStreamer.streamAudio(new Uint8Array(data));
 
                 if (this.modelTranscriber && this.modelTranscriber.isConnected) {
                     this.modelTranscriber.sendAudio(data);
@@ -110,20 +152,91 @@ export class GeminiAgent{
         // Add an event handler when the model finishes speaking if needed
         this.client.on('turn_complete', () => {
             console.info('Model finished speaking');
+            this.audioStreamer?.complete();
             this.emit('turn_complete');
         });
 
+        // Pause outgoing media while the websocket is being re-established
+        this.client.on('reconnecting', async (info) => {
+            if (!this.reconnecting) {
+                this.reconnecting = true;
+                await this.pauseMediaStreams();
+            }
+            this.emit('reconnecting', info);
+        });
+
+        this.client.on('reconnected', async () => {
+            this.reconnecting = false;
+            await this.resumeMediaStreams();
+            this.emit('reconnected');
+        });
+
+        // Give up and release all resources once every reconnection attempt failed
+        this.client.on('reconnect_failed', async () => {
+            this.reconnecting = false;
+            this.pausedStreams = null;
+            this.emit('reconnect_failed');
+            try {
+                await this.disconnect();
+            } catch (error) {
+                console.error('Error cleaning up after failed reconnect:', error);
+            }
+        });
+
+        // Token usage of the session, reported by the server after model turns
+        this.client.on('usage_metadata', (usage) => {
+            this.emit('usage_metadata', usage);
+        });
+
+        // The server announced the end of the connection, the client hands over to a new session
+        this.client.on('go_away', (info) => {
+            this.emit('go_away', info);
+        });
+
+        this.client.on('handover_complete', () => {
+            this.emit('handover_complete');
+        });
+
+        // Close codes with their reason. Errors that reconnecting cannot fix end the session.
+        this.client.on('server_error', async (error) => {
+            console.error(`${this.name} server error: ${error.description} (code ${error.code}) ${error.reason}`);
+            this.emit('server_error', error);
+            if (!error.retryable && this.connected) {
+                try {
+                    await this.disconnect();
+                } catch (disconnectError) {
+                    console.error('Error cleaning up after server error:', disconnectError);
+                }
+            }
+        });
+
+        this.client.on('grounding', (groundingMetadata) => {
+            this.emit('grounding', groundingMetadata);
+        });
+
         this.client.on('tool_call', async (toolCall) => {
-            await this.handleToolCall(toolCall);
+            try {
+                await this.handleToolCall(toolCall);
+            } catch (error) {
+                console.error('Error answering tool call:', error);
+            }
         });
 
-        // Handle text content from the model
+        // Abort tools the model no longer waits for
+        this.client.on('tool_call_cancellation', (cancellation) => {
+            const cancelled = this.toolManager.cancelToolCalls(cancellation.ids || []);
+            this.emit('tool_call_cancelled', cancelled);
+        });
+
+        // Handle text content from the model. A reply has one source: the transcript of the model's
+        // speech when it is transcribed, its text parts otherwise, so it is not shown and stored twice.
         this.client.on('content', (content) => {
+            if (this.transcribesReplies()) return;
             // Extract text from content parts
             if (content && content.modelTurn && content.modelTurn.parts) {
                 const textParts = content.modelTurn.parts.filter(part => part.text);
                 if (textParts.length > 0) {
-                    const textContent = textParts.map(part => part.text).join(' ');
+                    const textContent = textParts.map(part => part.text).join('');
                     if (textContent.trim()) {
                         this.emit('model_text', textContent);
                     }
@@ -132,21 +245,206 @@ export class GeminiAgent{
         });
     }
         
-    // TODO: Handle multiple function calls
+    /**
+     * Whether the model answers with audio and its speech is transcribed, so its replies come as
+     * 'transcription' events instead of 'model_text'
+     * @returns {boolean}
+     */
+    transcribesReplies() {
+        const modalities = this.config.generationConfig?.responseModalities || ['AUDIO'];
+        return Boolean(this.modelTranscriber) && modalities.some(modality => modality.toUpperCase() === 'AUDIO');
+    }
+        
+    /**
+     * Runs every function call of a tool call and answers them in a single toolResponse.
+     * @param {Object} toolCall - The toolCall message containing functionCalls
+     */
     async handleToolCall(toolCall) {
-        const functionCall = toolCall.functionCalls[0];
-        const response = await this.toolManager.handleToolCall(functionCall);
-        await this.client.sendToolResponse(response);
+        const functionCalls = toolCall.functionCalls || [];
+        if (!functionCalls.length) return;
+
+        this.emit('tool_call_started', functionCalls);
+        const responses = await this.toolManager.handleToolCalls(functionCalls);
+        this.emit('tool_calls', functionCalls.map((call, index) => ({ ...call, response: responses[index] })));
+
+        // Responses for cancelled calls are stale, the model is no longer expecting them
+        const activeResponses = responses.filter((response) => !response.cancelled);
+        if (!activeResponses.length || !this.client) return;
+        await this.client.sendToolResponses(activeResponses);
     }
 
     /**
      * Connects to the Gemini API using the GeminiWebsocketClient.connect() method.
      */
     async connect() {
-        this.client = new GeminiWebsocketClient(this.name, this.url, this.config);
-        await this.client.connect();
+        // Pick up tools that were registered after the agent was created
+        this.config.tools = this.toolManager.getTools();
+        this.client = new GeminiWebsocketClient(this.name, this.url, this.config, {
+            webSocketFactory: this.webSocketFactory,
+            turnHistory: this.turnHistory
+        });
+        if (this.sessionRecorder) {
+            this.sessionRecorder.attach(this.client);
+        }
+        // Listen before connecting, so errors that reject the setup are surfaced too
         this.setupEventListeners();
+        await this.client.connect();
         this.connected = true;
+        this.emit('connected');
+
+        // Resuming an earlier conversation, give the model its context back
+        if (this.turnHistory.length) {
+            await this.client.replayTurns();
+        }
+    }
+
+    /**
+     * Continues an earlier conversation: its turns become the context of this agent and are
+     * sent to the model as clientContent, right away if connected or on the next connect().
+     * @param {Array<Object>} turns - Turns of the form { role, parts: [{ text }] }
+     */
+    async continueConversation(turns) {
+        this.turnHistory.splice(0, this.turnHistory.length, ...turns);
+        if (this.connected) {
+            await this.client.replayTurns();
+        }
+    }
+
+    /**
+     * Makes this agent the one the user interacts with, or moves it to the background.
+     * A background agent releases the camera, screen and microphone and stays silent,
+     * but keeps its websocket so the conversation continues where it left off.
+     * @param {boolean} active - Whether the agent becomes active
+     */
+    async setActive(active) {
+        this.active = active;
+        if (active) {
+            this.visualizer?.start();
+            return;
+        }
+
+        await this.stopCameraCapture();
+        await this.stopScreenShare();
+        this.pausedStreams = null;
+        await this.stopTalking();
+        if (this.audioRecorder) {
+            this.audioRecorder.stop();
+        }
+        if (this.audioStreamer) {
+            this.audioStreamer.stop();
+            this.audioStreamer.isInitialized = false;
+        }
+        this.visualizer?.stop();
+    }
+
+    /**
+     * Switches how the user's turns are detected: by the Live API ('server'), by the local voice
+     * activity detection ('vad') or by holding push-to-talk ('push-to-talk'). Only the server detects
+     * activity automatically, the setup of the other modes disables that, so switching between the two
+     * kinds continues the conversation in a new session.
+     * @param {string} mode - 'server', 'vad' or 'push-to-talk'
+     */
+    async setTurnDetection(mode) {
+        if (mode === this.turnDetection) return;
+        await this.stopTalking();
+
+        const wasAutomatic = this.turnDetection === 'server';
+        this.turnDetection = mode;
+        if (mode === 'server') {
+            delete this.config.realtimeInputConfig;
+        } else {
+            this.config.realtimeInputConfig = { automaticActivityDetection: { disabled: true } };
+        }
+
+        if (this.connected && wasAutomatic !== (mode === 'server')) {
+            await this.client.reconfigure();
+        }
+        this.emit('turn_detection_changed', mode);
+    }
+
+    /**
+     * Starts a push-to-talk turn: opens the microphone and marks the start of the user's speech
+     */
+    async startTalking() {
+        if (this.turnDetection !== 'push-to-talk' || this.isTalking) return;
+        this.isTalking = true;
+        this.talkingPromise = (async () => {
+            if (!this.audioRecorder.stream) {
+                await this.startRecording();
+            } else if (this.audioRecorder.isSuspended) {
+                await this.audioRecorder.resumeMic();
+            }
+            await this.client.sendActivityStart();
+            this.emit('talking_started');
+        })();
+
+        try {
+            await this.talkingPromise;
+        } catch (error) {
+            this.isTalking = false;
+            throw error;
+        }
+    }
+
+    /**
+     * Ends a push-to-talk turn, the model responds afterwards
+     */
+    async stopTalking() {
+        if (!this.isTalking) return;
+        this.isTalking = false;
+        const talking = this.talkingPromise;
+        this.talkingPromise = null;
+        try {
+            await talking;
+        } catch {
+            return;     // startTalking() failed and already reported it
+        }
+        this.emit('talking_stopped');
+        if (this.connected) {
+            await this.client.sendActivityEnd();
+        }
+    }
+
+    /**
+     * Stops sending camera frames, screenshots and microphone audio without releasing the devices.
+     * Remembers which streams were active so resumeMediaStreams() can restart them.
+     */
+    async pauseMediaStreams() {
+        const micActive = !!(this.audioRecorder?.isRecording && !this.audioRecorder.isSuspended);
+        this.pausedStreams = {
+            video: !!(this.cameraInterval || this.screenInterval || this.compositeInterval),
+            mic: micActive
+        };
+
+        this.stopCaptureIntervals();
+        if (micActive) {
+            await this.audioRecorder.suspendMic();
+        }
+        if (this.audioStreamer) {
+            this.audioStreamer.stop();
+            this.audioStreamer.isInitialized = false;
+        }
+
+        console.info('Media streams paused while reconnecting', this.pausedStreams);
+    }
+
+    /**
+     * Restarts the media streams that were paused by pauseMediaStreams().
+     */
+    async resumeMediaStreams() {
+        if (!this.pausedStreams) return;
+
+        const { video, mic } = this.pausedStreams;
+        this.pausedStreams = null;
+
+        if (video) {
+            this.startCaptureIntervals();
+        }
+        if (mic && this.audioRecorder) {
+            await this.audioRecorder.resumeMic();
+        }
+
+        console.info('Media streams resumed', { video, mic });
     }
 
     /**
@@ -154,10 +452,26 @@ export class GeminiAgent{
      * @param {string} text - The text message to send.
      */
     async sendText(text) {
+        if (this.reconnecting) {
+            throw new Error('Cannot send text while reconnecting');
+        }
         await this.client.sendText(text);
         this.emit('text_sent', text);
     }
 
+    /**
+     * Sends an annotated snapshot of the camera or screen with a question about it as one turn.
+     * @param {string} base64image - The annotated image as base64 encoded JPEG.
+     * @param {string} text - The question.
+     */
+    async sendAnnotatedImage(base64image, text) {
+        if (this.reconnecting) {
+            throw new Error('Cannot send an image while reconnecting');
+        }
+        await this.client.sendImageTurn(base64image, text);
+        this.emit('text_sent', text);
+    }
+
     /**
      * Starts camera capture and sends images at regular intervals
      */
@@ -167,13 +481,9 @@ export class GeminiAgent{
         }
 
         try {
+            this.cameraManager.config.deviceId = deviceManager.getDeviceId('videoinput');
             await this.cameraManager.initialize();
-            
-            // Set up interval to capture and send images
-            this.cameraInterval = setInterval(async () => {
-                const imageBase64 = await this.cameraManager.capture();
-                this.client.sendImage(imageBase64);                
-            }, this.captureInterval);
+            this.startCaptureIntervals();
             
             console.info('Camera capture started');
         } catch (error) {
@@ -182,18 +492,90 @@ export class GeminiAgent{
         }
     }
 
+    /**
+     * Sets up the intervals that capture and send the camera and screen frames of the running sources.
+     * If both run and the compositor is enabled, one interval sends them composed into one frame.
+     */
+    startCaptureIntervals() {
+        this.stopCaptureIntervals();
+        // The model's last frame may have come from another interval, send the next one in any case
+        this.cameraManager.frameDiffer.reset();
+        this.screenManager.frameDiffer.reset();
+        this.screenManager.thumbnailDiffer.reset();
+        this.compositor.reset();
+
+        const camera = this.cameraManager.isInitialized;
+        const screen = this.screenManager.isInitialized;
+        if (camera && screen && this.compositor.isEnabled) {
+            this.startCompositeInterval();
+            return;
+        }
+        if (camera) {
+            this.startCameraInterval();
+        }
+        if (screen) {
+            this.startScreenInterval();
+        }
+    }
+
+    /**
+     * Clears the intervals that send camera and screen frames
+     * @returns {boolean} Whether frames were being sent, e.g. not while paused for a reconnect
+     */
+    stopCaptureIntervals() {
+        let wasSending = false;
+        for (const interval of ['cameraInterval', 'screenInterval', 'compositeInterval']) {
+            if (this[interval]) {
+                clearInterval(this[interval]);
+                this[interval] = null;
+                wasSending = true;
+            }
+        }
+        return wasSending;
+    }
+
+    /**
+     * Sets up the interval that composes the screen and the camera into one frame and sends it
+     */
+    startCompositeInterval() {
+        this.compositeInterval = setInterval(async () => {
+            const imageBase64 = await this.compositor.capture(
+                this.screenManager.videoElement,
+                this.cameraManager.videoElement,
+                this.screenManager.getSourceRect()
+            );
+            if (imageBase64) {
+                await this.sendFrame(imageBase64);
+            }
+            await this.sendScreenThumbnail();
+        }, this.captureInterval);
+    }
+
+    /**
+     * Sets up the interval that captures and sends camera images
+     */
+    startCameraInterval() {
+        this.cameraInterval = setInterval(async () => {
+            const imageBase64 = await this.cameraManager.capture();
+            if (imageBase64) {
+                await this.sendFrame(imageBase64);
+            }
+        }, this.captureInterval);
+    }
+
     /**
      * Stops camera capture and cleans up resources
      */
     async stopCameraCapture() {
-        if (this.cameraInterval) {
-            clearInterval(this.cameraInterval);
-            this.cameraInterval = null;
-        }
+        const wasSending = this.stopCaptureIntervals();
         
         if (this.cameraManager) {
             this.cameraManager.dispose();
         }
+        // Keep sending the screen alone
+        if (wasSending) {
+            this.startCaptureIntervals();
+        }
         
         console.info('Camera capture stopped');
     }
@@ -208,12 +590,7 @@ export class GeminiAgent{
 
         try {
             await this.screenManager.initialize();
-            
-            // Set up interval to capture and send screenshots
-            this.screenInterval = setInterval(async () => {
-                const imageBase64 = await this.screenManager.capture();
-                this.client.sendImage(imageBase64);
-            }, this.captureInterval);
+            this.startCaptureIntervals();
             
             console.info('Screen sharing started');
         } catch (error) {
@@ -222,18 +599,55 @@ export class GeminiAgent{
         }
     }
 
+    /**
+     * Sets up the interval that captures and sends screenshots
+     */
+    startScreenInterval() {
+        this.screenInterval = setInterval(async () => {
+            const imageBase64 = await this.screenManager.capture();
+            if (imageBase64) {
+                await this.sendFrame(imageBase64);
+            }
+            await this.sendScreenThumbnail();
+        }, this.captureInterval);
+    }
+
+    /**
+     * Sends a thumbnail of the whole screen while only a region of it is captured, if enabled
+     */
+    async sendScreenThumbnail() {
+        const thumbnailBase64 = await this.screenManager.captureThumbnail();
+        if (thumbnailBase64) {
+            await this.sendFrame(thumbnailBase64);
+        }
+    }
+
+    /**
+     * Sends a captured frame. Frames captured while the connection is down are dropped.
+     * @param {string} imageBase64 - Base64 encoded JPEG image
+     */
+    async sendFrame(imageBase64) {
+        if (!this.connected || this.reconnecting) return;
+        try {
+            await this.client.sendImage(imageBase64);
+        } catch (error) {
+            console.error('Error sending frame:', error);
+        }
+    }
+
     /**
      * Stops screen sharing and cleans up resources
      */
     async stopScreenShare() {
-        if (this.screenInterval) {
-            clearInterval(this.screenInterval);
-            this.screenInterval = null;
-        }
+        const wasSending = this.stopCaptureIntervals();
         
         if (this.screenManager) {
             this.screenManager.dispose();
         }
+        // Keep sending the camera alone
+        if (wasSending) {
+            this.startCaptureIntervals();
+        }
         
         console.info('Screen sharing stopped');
     }
@@ -268,24 +682,14 @@ export class GeminiAgent{
                 this.audioStreamer = null;
             }
 
-            // Cleanup model's speech transcriber
+            // Cleanup speech transcribers
             if (this.modelTranscriber) {
                 this.modelTranscriber.disconnect();
                 this.modelTranscriber = null;
-                if (this.modelsKeepAliveInterval) {
-                    clearInterval(this.modelsKeepAliveInterval);
-                    this.modelsKeepAliveInterval = null;
-                }
             }
-
-            // Cleanup user's speech transcriber
             if (this.userTranscriber) {
                 this.userTranscriber.disconnect();
                 this.userTranscriber = null;
-                if (this.userKeepAliveInterval) {
-                    clearInterval(this.userKeepAliveInterval);
-                    this.userKeepAliveInterval = null;
-                }
             }
 
             // Finally close audio context
@@ -295,10 +699,18 @@ export class GeminiAgent{
             }
 
             // Cleanup WebSocket
-            this.client.disconnect();
-            this.client = null;
+            if (this.client) {
+                if (this.sessionRecorder) {
+                    this.sessionRecorder.detach();
+                }
+                this.client.disconnect();
+                this.client = null;
+            }
             this.initialized = false;
             this.connected = false;
+            this.reconnecting = false;
+            this.pausedStreams = null;
+            this.emit('disconnected');
             
             console.info('Disconnected and cleaned up all resources');
         } catch (error) {
@@ -307,75 +719,38 @@ export class GeminiAgent{
     }
 
     /**
-     * Initializes the model's speech transcriber with Deepgram
+     * Creates and connects the transcriber of one speaker with the configured provider.
+     * Its TranscriptSegments are emitted as 'transcription'/'interim_transcription' for the model and
+     * 'user_transcription'/'user_interim_transcription' for the user.
+     * @param {string} speaker - 'model' or 'user'
+     * @returns {Promise<Transcriber|null>} The connected transcriber, null if there is none or it failed to connect
      */
-    async initializeModelSpeechTranscriber() {
-        if (!this.modelTranscriber) {
-            console.warn('Either no Deepgram API key provided or model speech transcription disabled');
-            return;
-        }
-
-        console.info('Initializing Deepgram model speech transcriber...');
-
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.modelTranscriber.on('connected', () => {
-                console.info('Model speech transcriber connection established, setting up keep-alive...');
-                this.modelsKeepAliveInterval = setInterval(() => {
-                    if (this.modelTranscriber.isConnected) {
-                        this.modelTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to model speech transcriber');
-                    }
-                }, 10000);
-                resolve();
-            });
+    async initializeTranscriber(speaker) {
+        const transcriber = createTranscriber({
+            ...this.transcription,
+            speaker,
+            sampleRate: speaker === 'user' ? 16000 : this.modelSampleRate,
+            client: this.client
         });
+        if (!transcriber) return null;
 
-        // Just log transcription to console for now
-        this.modelTranscriber.on('transcription', (transcript) => {
-            this.emit('transcription', transcript);
-            console.debug('Model speech transcription:', transcript);
+        const prefix = speaker === 'user' ? 'user_' : '';
+        transcriber.on('transcription', (segment) => {
+            this.emit(`${prefix}transcription`, segment);
+            console.debug(`${speaker} speech transcription:`, segment.text);
         });
-
-        // Connect to Deepgram and execute promise
-        await this.modelTranscriber.connect();
-        await connectionPromise;
-    }
-
-    /**
-     * Initializes the user's speech transcriber with Deepgram
-     */
-    async initializeUserSpeechTranscriber() {
-        if (!this.userTranscriber) {
-            console.warn('Either no Deepgram API key provided or user speech transcription disabled');
-            return;
-        }
-
-        console.info('Initializing Deepgram user speech transcriber...');
-
-        // Promise to send keep-alive every 10 seconds once connected
-        const connectionPromise = new Promise((resolve) => {
-            this.userTranscriber.on('connected', () => {
-                console.info('User speech transcriber connection established, setting up keep-alive...');
-                this.userKeepAliveInterval = setInterval(() => {
-                    if (this.userTranscriber.isConnected) {
-                        this.userTranscriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        console.info('Sent keep-alive message to user transcriber');
-                    }
-                }, 10000);
-                resolve();
-            });
+        transcriber.on('interim', (segment) => {
+            this.emit(`${prefix}interim_transcription`, segment);
         });
 
-        // Handle user transcription events
-        this.userTranscriber.on('transcription', (transcript) => {
-            this.emit('user_transcription', transcript);
-            console.debug('User speech transcription:', transcript);
-        });
-
-        // Connect to Deepgram and execute promise
-        await this.userTranscriber.connect();
-        await connectionPromise;
+        try {
+            console.info(`Initializing ${this.transcription.provider} ${speaker} speech transcriber...`);
+            await transcriber.connect();
+            return transcriber;
+        } catch (error) {
+            console.error(`Failed to connect the ${speaker} speech transcriber, transcription disabled:`, error);
+            return null;
+        }
     }
 
     /**
@@ -386,49 +761,143 @@ export class GeminiAgent{
         try {            
             // Initialize audio components
             this.audioContext = new AudioContext();
+            await this.setAudioOutputDevice(deviceManager.getDeviceId('audiooutput'))
+                .catch(error => console.warn('Cannot play on the selected output device, using the default:', error));
             this.audioStreamer = new AudioStreamer(this.audioContext);
             this.audioStreamer.initialize();
             this.visualizer = new AudioVisualizer(this.audioContext, 'visualizer');
             this.audioStreamer.gainNode.connect(this.visualizer.analyser);
             this.visualizer.start();
             this.audioRecorder = new AudioRecorder();
+            this.setupVoiceActivityListeners();
             
-            // Initialize transcriber if API key is provided
-            if (this.deepgramApiKey) {
-                if (this.transcribeModelsSpeech) {
-                    this.modelTranscriber = new DeepgramTranscriber(this.deepgramApiKey, this.modelSampleRate);
-                    await this.initializeModelSpeechTranscriber();
-                }
-                if (this.transcribeUsersSpeech) {
-                    this.userTranscriber = new DeepgramTranscriber(this.deepgramApiKey, 16000);
-                    await this.initializeUserSpeechTranscriber();
-                }
-            } else {
-                console.warn('No Deepgram API key provided, transcription disabled');
+            // Initialize transcribers with the provider selected in the settings
+            if (this.transcribeModelsSpeech) {
+                this.modelTranscriber = await this.initializeTranscriber('model');
+            }
+            if (this.transcribeUsersSpeech) {
+                this.userTranscriber = await this.initializeTranscriber('user');
             }
             
             this.initialized = true;
             console.info(`${this.client.name} initialized successfully`);
-            this.client.sendText('.');  // Trigger the model to start speaking first
+            // Trigger the model to start speaking first, unless an earlier conversation is resumed
+            if (!this.turnHistory.length) {
+                await this.client.sendText('.');
+            }
         } catch (error) {
             console.error('Initialization error:', error);
             throw new Error('Error during the initialization of the client: ' + error.message);
         }
     }
 
+    /**
+     * Forwards the recorder's voice activity as 'speech_start'/'speech_end' events. With local turn
+     * detection, the Live API's automatic activity detection is disabled and the speech is bracketed
+     * with activityStart/activityEnd instead.
+     */
+    setupVoiceActivityListeners() {
+        this.audioRecorder.addEventListener('speech_start', async () => {
+            this.emit('speech_start');
+            if (this.turnDetection !== 'vad' || !this.connected) return;
+            try {
+                await this.client.sendActivityStart();
+            } catch (error) {
+                console.error('Error sending activity start:', error);
+            }
+        });
+        this.audioRecorder.addEventListener('speech_end', async () => {
+            this.emit('speech_end');
+            if (this.turnDetection !== 'vad' || !this.connected) return;
+            try {
+                await this.client.sendActivityEnd();
+            } catch (error) {
+                console.error('Error sending activity end:', error);
+            }
+        });
+    }
+
     async startRecording() {
         // Start recording with callback to send audio data to websocket and transcriber
         await this.audioRecorder.start(async (audioData) => {
+            // With push-to-talk, the microphone is only heard while it is held
+            if (this.turnDetection === 'push-to-talk' && !this.isTalking) return;
+            // Chunks recorded while the connection is down are dropped, the microphone is paused until it is back
+            if (!this.connected || this.reconnecting) return;
             try {
-                this.client.sendAudio(audioData);
+                await this.client.sendAudio(audioData);
                 if (this.userTranscriber && this.userTranscriber.isConnected) {
-                    this.userTranscriber.sendAudio(new Uint8Array(audioData));
+                    this.userTranscriber.sendAudio(base64ToArrayBuffer(audioData));
                 }
             } catch (error) {
+                // The socket closed before the agent noticed, reconnecting takes care of it
                 console.error('Error sending audio data:', error);
-                this.audioRecorder.stop();
+            }
+        }, { silentAudio: this.silentAudio, deviceId: deviceManager.getDeviceId('audioinput') });
+    }
+
+    /**
+     * Switches a media device without interrupting the session. Streams that are not running
+     * pick up the device when they start.
+     * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+     * @param {string} deviceId - Device to use, '' for the default
+     */
+    async switchDevice(kind, deviceId) {
+        // One switch at a time, a single devicechange can ask for several
+        const switching = this.deviceSwitch.then(() => this.applyDevice(kind, deviceId));
+        this.deviceSwitch = switching.catch(() => {});
+        return switching;
+    }
+
+    /**
+     * Restarts the microphone and camera streams whose track ended, e.g. because the device in use
+     * was unplugged, on the device to use now
+     */
+    async restartEndedStreams() {
+        const ended = (stream) => !!stream?.getTracks().some(track => track.readyState === 'ended');
+        // Checked after the switches already asked for, which may have replaced the ended stream
+        const restarting = this.deviceSwitch.then(async () => {
+            if (ended(this.audioRecorder?.stream)) {
+                console.info('Microphone track ended, reopening the microphone');
+                await this.applyDevice('audioinput', deviceManager.getDeviceId('audioinput'));
+            }
+            if (ended(this.cameraManager.stream)) {
+                console.info('Camera track ended, reopening the camera');
+                await this.applyDevice('videoinput', deviceManager.getDeviceId('videoinput'));
             }
         });
+        this.deviceSwitch = restarting.catch(() => {});
+        return restarting;
+    }
+
+    /**
+     * @param {string} kind - 'audioinput', 'videoinput' or 'audiooutput'
+     * @param {string} deviceId - Device to use, '' for the default
+     */
+    async applyDevice(kind, deviceId) {
+        switch (kind) {
+            case 'audioinput':
+                await this.audioRecorder?.switchDevice(deviceId);
+                break;
+            case 'videoinput':
+                await this.cameraManager.switchDevice(deviceId);
+                break;
+            case 'audiooutput':
+                await this.setAudioOutputDevice(deviceId);
+                break;
+            default:
+                throw new Error(`Unknown device kind: ${kind}`);
+        }
+    }
+
+    /**
+     * Plays the model's audio on another output device, if the browser supports picking one
+     * @param {string} deviceId - Output device, '' for the default
+     */
+    async setAudioOutputDevice(deviceId) {
+        if (!this.audioContext || !deviceManager.canSelectOutput) return;
+        if (this.audioContext.sinkId === deviceId) return;
+        await this.audioContext.setSinkId(deviceId);
     }
 
     /**
@@ -1,16 +1,46 @@
 /**
  * Model Context Protocol (MCP) Client
- * Handles communication between Second-Me and local tools
+ * Handles communication between Second-Me and local tools,
+ * and connects to external MCP servers whose tools become local tools
  */
+import { MCPServerConnection } from './mcp-server-connection.js';
+
+/**
+ * Convert the result of an MCP tools/call into a plain tool result
+ * @param {Object} result - MCP call result with content and isError
+ * @returns {any} Structured content if provided, otherwise the joined text content
+ * @throws {Error} If the server reported a tool error
+ */
+function toToolResult(result) {
+  const content = result.content || [];
+  const text = content
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+
+  if (result.isError) {
+    throw new Error(text || 'MCP tool reported an error');
+  }
+  if (result.structuredContent) {
+    return result.structuredContent;
+  }
+
+  const otherContent = content.filter(item => item.type !== 'text');
+  return otherContent.length ? { text, content: otherContent } : text;
+}
+
 export class MCPClient {
   /**
    * Create a new MCP client
-   * @param {Object} adapter - SecondMeAdapter instance
+   * @param {Object} [adapter] - SecondMeAdapter instance, tools stay local when omitted
    */
-  constructor(adapter) {
+  constructor(adapter = null) {
     this.adapter = adapter;
     this.tools = new Map();
-    this.setupEventListeners();
+    this.servers = new Map();
+    if (this.adapter) {
+      this.setupEventListeners();
+    }
   }
 
   /**
@@ -45,7 +75,7 @@ export class MCPClient {
    * Register a tool with the MCP client and Second-Me
    * @param {string} name - Tool name
    * @param {string} description - Tool description
-   * @param {Function} handler - Tool handler function
+   * @param {Function} handler - Tool handler function, called as handler(args, { signal })
    * @param {Object} schema - Tool parameter schema
    * @returns {Promise<Object>} Registration result
    */
@@ -57,6 +87,11 @@ export class MCPClient {
       schema
     });
     
+    // Without an adapter the tool is only available locally, e.g. to the Gemini Live agent
+    if (!this.adapter) {
+      return { name, registered: true, local: true };
+    }
+    
     // Register with Second-Me
     const toolDefinition = {
       name,
@@ -124,16 +159,18 @@ export class MCPClient {
    * Manually execute a tool by name
    * @param {string} name - Tool name
    * @param {Object} args - Tool arguments
+   * @param {Object} [context] - Execution context passed on to the handler
+   * @param {AbortSignal} [context.signal] - Signal that aborts the tool execution
    * @returns {Promise<any>} Tool execution result
    */
-  async executeTool(name, args) {
+  async executeTool(name, args, context = {}) {
     const tool = this.tools.get(name);
     
     if (!tool) {
       throw new Error(`Tool not found: ${name}`);
     }
     
-    return await tool.handler(args);
+    return await tool.handler(args, context);
   }
   
   /**
@@ -153,4 +190,90 @@ export class MCPClient {
     
     return tools;
   }
+  
+  /**
+   * Connect to an MCP server and register its tools with this client
+   * @param {string} url - Server URL (Streamable HTTP endpoint, or an /sse endpoint)
+   * @param {Object} [options] - MCPServerConnection options (transport, headers, requestTimeout)
+   * @returns {Promise<MCPServerConnection>} The connected server
+   */
+  async addServer(url, options = {}) {
+    if (this.servers.has(url)) {
+      return this.servers.get(url);
+    }
+    
+    const server = new MCPServerConnection(url, options);
+    let tools;
+    try {
+      await server.connect();
+      tools = await server.listTools();
+    } catch (error) {
+      // Keep no half-set-up server around, a later addServer() connects again
+      await server.disconnect().catch(() => {});
+      throw error;
+    }
+    this.servers.set(url, server);
+    
+    for (const tool of tools) {
+      if (this.tools.has(tool.name)) {
+        console.warn(`[MCPClient] Skipping tool '${tool.name}' from ${url}, a tool with that name is already registered`);
+        continue;
+      }
+      
+      try {
+        await this.registerTool(
+          tool.name,
+          tool.description || '',
+          async (args, { signal } = {}) => toToolResult(await server.callTool(tool.name, args, { signal })),
+          tool.inputSchema
+        );
+        this.tools.get(tool.name).server = url;
+      } catch (error) {
+        console.error(`[MCPClient] Failed to register tool '${tool.name}' from ${url}:`, error);
+      }
+    }
+    
+    console.log(`[MCPClient] Registered ${tools.length} tools from ${url}`);
+    return server;
+  }
+  
+  /**
+   * Disconnect from an MCP server and remove its tools
+   * @param {string} url - Server URL
+   */
+  async removeServer(url) {
+    const server = this.servers.get(url);
+    if (!server) return;
+    
+    for (const [name, tool] of this.tools.entries()) {
+      if (tool.server === url) {
+        this.tools.delete(name);
+      }
+    }
+    
+    this.servers.delete(url);
+    await server.disconnect();
+  }
+  
+  /**
+   * List the resources of all connected servers
+   * @returns {Promise<Array<Object>>} Resources, each tagged with its server URL
+   */
+  async listResources() {
+    const lists = await Promise.all([...this.servers.entries()].map(async ([url, server]) =>
+      (await server.listResources()).map(resource => ({ ...resource, server: url }))
+    ));
+    return lists.flat();
+  }
+  
+  /**
+   * List the prompts of all connected servers
+   * @returns {Promise<Array<Object>>} Prompts, each tagged with its server URL
+   */
+  async listPrompts() {
+    const lists = await Promise.all([...this.servers.entries()].map(async ([url, server]) =>
+      (await server.listPrompts()).map(prompt => ({ ...prompt, server: url }))
+    ));
+    return lists.flat();
+  }
 }
\ No newline at end of file
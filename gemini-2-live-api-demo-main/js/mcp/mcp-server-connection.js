@@ -0,0 +1,240 @@
+/**
+ * MCP Server Connection
+ * JSON-RPC client for a single Model Context Protocol server
+ */
+import { StreamableHTTPTransport, SSETransport } from './mcp-transports.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+/**
+ * Error returned by an MCP server as a JSON-RPC error object
+ */
+export class MCPError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {any} [data] - Additional error data from the server
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'MCPError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Connection to one MCP server over Streamable HTTP or HTTP+SSE
+ */
+export class MCPServerConnection {
+  /**
+   * Create a new server connection
+   * @param {string} url - Server URL
+   * @param {Object} [options]
+   * @param {string} [options.transport='auto'] - 'http', 'sse' or 'auto' (URLs ending in /sse use SSE)
+   * @param {Object} [options.headers] - Extra HTTP headers sent with every request
+   * @param {number} [options.requestTimeout=60000] - Timeout in ms for every request
+   */
+  constructor(url, { transport = 'auto', headers = {}, requestTimeout = 60000 } = {}) {
+    this.url = url;
+    this.transportType = transport === 'auto'
+      ? (new URL(url).pathname.endsWith('/sse') ? 'sse' : 'http')
+      : transport;
+    this.headers = headers;
+    this.requestTimeout = requestTimeout;
+    this.transport = null;
+    this.nextId = 1;
+    this.pendingRequests = new Map();
+    this.serverInfo = null;
+    this.serverCapabilities = {};
+    this.connected = false;
+  }
+
+  /**
+   * Open the transport and run the initialize handshake
+   * @returns {Promise<Object>} Result of the initialize request
+   */
+  async connect() {
+    const Transport = this.transportType === 'sse' ? SSETransport : StreamableHTTPTransport;
+    this.transport = new Transport(this.url, { headers: this.headers });
+    this.transport.onmessage = (message) => this.handleMessage(message);
+    this.transport.onclose = () => {
+      this.connected = false;
+      this.rejectPending(new Error(`Connection to MCP server ${this.url} closed`));
+    };
+
+    await this.transport.start();
+
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'deepcanvas-ai', version: '1.0.0' }
+    });
+
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    await this.notify('notifications/initialized');
+    this.connected = true;
+
+    console.log(`[MCPServerConnection] Connected to ${this.serverInfo?.name || this.url} (protocol ${result.protocolVersion})`);
+    return result;
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   * @param {string} method - JSON-RPC method
+   * @param {Object} [params] - Method parameters
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<any>} The result of the response
+   */
+  request(method, params, { signal } = {}) {
+    // A call cancelled before it was sent never reaches the server
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error(`MCP request ${method} timed out after ${this.requestTimeout} ms`));
+      }, this.requestTimeout);
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        this.pendingRequests.delete(id);
+        this.notify('notifications/cancelled', { requestId: id, reason: 'Aborted by client' }).catch(() => {});
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pendingRequests.set(id, {
+        resolve: (result) => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          resolve(result);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      });
+
+      this.transport.send({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) }, { signal })
+        .catch((error) => this.pendingRequests.get(id)?.reject(error));
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification
+   * @param {string} method - Notification method
+   * @param {Object} [params] - Notification parameters
+   * @returns {Promise<void>}
+   */
+  async notify(method, params) {
+    await this.transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  /**
+   * Route an incoming JSON-RPC message to its pending request
+   * @param {Object} message - JSON-RPC message
+   * @private
+   */
+  handleMessage(message) {
+    if (message.id === undefined || !this.pendingRequests.has(message.id)) {
+      if (message.method) {
+        console.debug(`[MCPServerConnection] Server message: ${message.method}`, message.params);
+      }
+      return;
+    }
+
+    const pending = this.pendingRequests.get(message.id);
+    this.pendingRequests.delete(message.id);
+
+    if (message.error) {
+      pending.reject(new MCPError(message.error.code, message.error.message, message.error.data));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  /**
+   * Reject all pending requests
+   * @param {Error} error - Rejection reason
+   * @private
+   */
+  rejectPending(error) {
+    this.pendingRequests.forEach(pending => pending.reject(error));
+    this.pendingRequests.clear();
+  }
+
+  /**
+   * Collect all pages of a paginated list method
+   * @param {string} method - List method, e.g. tools/list
+   * @param {string} key - Result property holding the items
+   * @returns {Promise<Array<Object>>} All items
+   * @private
+   */
+  async listAll(method, key) {
+    const items = [];
+    let cursor;
+    do {
+      const result = await this.request(method, cursor ? { cursor } : undefined);
+      items.push(...(result[key] || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    return items;
+  }
+
+  /**
+   * List the tools of the server
+   * @returns {Promise<Array<Object>>} Tools with name, description and inputSchema
+   */
+  async listTools() {
+    return this.listAll('tools/list', 'tools');
+  }
+
+  /**
+   * Call a tool on the server
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the call
+   * @returns {Promise<Object>} Call result with content and isError
+   */
+  async callTool(name, args, { signal } = {}) {
+    return this.request('tools/call', { name, arguments: args || {} }, { signal });
+  }
+
+  /**
+   * List the resources of the server
+   * @returns {Promise<Array<Object>>} Resources, or an empty list if the server has none
+   */
+  async listResources() {
+    if (!this.serverCapabilities.resources) return [];
+    return this.listAll('resources/list', 'resources');
+  }
+
+  /**
+   * List the prompts of the server
+   * @returns {Promise<Array<Object>>} Prompts, or an empty list if the server has none
+   */
+  async listPrompts() {
+    if (!this.serverCapabilities.prompts) return [];
+    return this.listAll('prompts/list', 'prompts');
+  }
+
+  /**
+   * Close the connection
+   */
+  async disconnect() {
+    this.connected = false;
+    this.rejectPending(new Error('MCP connection closed'));
+    if (this.transport) {
+      await this.transport.close();
+      this.transport = null;
+    }
+  }
+}
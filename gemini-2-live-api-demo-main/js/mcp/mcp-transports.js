@@ -0,0 +1,248 @@
+/**
+ * Transports for the Model Context Protocol (MCP)
+ * Carry JSON-RPC messages between the browser and an MCP server.
+ * Browsers cannot spawn processes, so stdio servers have to be exposed through
+ * an HTTP bridge (e.g. `npx mcp-proxy`) and connected with one of these transports.
+ */
+
+/**
+ * Parses a text/event-stream body and calls onEvent for every complete event
+ * @param {ReadableStream} body - Response body stream
+ * @param {Function} onEvent - Called with { event, data } for every event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      let event = 'message';
+      const dataLines = [];
+      rawEvent.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+      });
+
+      if (dataLines.length) {
+        onEvent({ event, data: dataLines.join('\n') });
+      }
+    }
+  }
+}
+
+/**
+ * Streamable HTTP transport (MCP 2025-03-26)
+ * Every message is POSTed to a single endpoint. The server answers with either
+ * a JSON body or an event stream that carries the response.
+ */
+export class StreamableHTTPTransport {
+  /**
+   * @param {string} url - MCP endpoint URL, e.g. http://localhost:3001/mcp
+   * @param {Object} [options]
+   * @param {Object} [options.headers] - Extra headers, e.g. Authorization
+   */
+  constructor(url, { headers = {} } = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  async start() {
+    // Nothing to open up front, the session starts with the initialize request
+  }
+
+  /**
+   * Send a JSON-RPC message
+   * @param {Object} message - JSON-RPC request or notification
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request
+   * @returns {Promise<void>}
+   */
+  async send(message, { signal } = {}) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json, text/event-stream',
+        ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+        ...this.headers
+      },
+      body: JSON.stringify(message),
+      signal
+    });
+
+    const sessionId = response.headers.get('Mcp-Session-Id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (!response.ok) {
+      throw new Error(`MCP server responded with ${response.status} ${response.statusText}`);
+    }
+
+    // Notifications are acknowledged with 202 and no body
+    if (response.status === 202) {
+      return;
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('text/event-stream')) {
+      await readEventStream(response.body, ({ data }) => this.dispatch(data));
+    } else if (contentType.includes('application/json')) {
+      this.dispatch(await response.text());
+    }
+  }
+
+  /**
+   * Parse a message body and hand every JSON-RPC message to onmessage
+   * @param {string} data - JSON text of one message or a batch
+   * @private
+   */
+  dispatch(data) {
+    const parsed = JSON.parse(data);
+    (Array.isArray(parsed) ? parsed : [parsed]).forEach(message => this.onmessage?.(message));
+  }
+
+  async close() {
+    if (this.sessionId) {
+      try {
+        await fetch(this.url, {
+          method: 'DELETE',
+          headers: { 'Mcp-Session-Id': this.sessionId, ...this.headers }
+        });
+      } catch (error) {
+        console.warn('[MCPTransport] Failed to terminate session:', error);
+      }
+      this.sessionId = null;
+    }
+    this.onclose?.();
+  }
+}
+
+/**
+ * HTTP+SSE transport (MCP 2024-11-05)
+ * Opens an event stream with GET, waits for the `endpoint` event and POSTs
+ * messages to that endpoint. Responses arrive on the event stream.
+ */
+export class SSETransport {
+  /**
+   * @param {string} url - SSE endpoint URL, e.g. http://localhost:3001/sse
+   * @param {Object} [options]
+   * @param {Object} [options.headers] - Extra headers, e.g. Authorization
+   * @param {number} [options.connectTimeout=10000] - Time in ms to wait for the endpoint event
+   */
+  constructor(url, { headers = {}, connectTimeout = 10000 } = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.connectTimeout = connectTimeout;
+    this.endpoint = null;
+    this.abortController = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  /**
+   * Open the event stream and wait for the message endpoint
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const abortController = new AbortController();
+    this.abortController = abortController;
+
+    // A server that accepts the stream but never sends the endpoint would keep start() pending forever
+    const timer = setTimeout(() => {
+      abortController.abort(new Error(`MCP server ${this.url} sent no endpoint within ${this.connectTimeout} ms`));
+    }, this.connectTimeout);
+
+    try {
+      await this.openStream(abortController.signal);
+    } catch (error) {
+      throw abortController.signal.aborted && abortController.signal.reason ? abortController.signal.reason : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Request the event stream and wait for its endpoint event
+   * @param {AbortSignal} signal - Aborts the stream
+   * @returns {Promise<void>}
+   */
+  async openStream(signal) {
+    const response = await fetch(this.url, {
+      headers: { 'Accept': 'text/event-stream', ...this.headers },
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`MCP server responded with ${response.status} ${response.statusText}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      readEventStream(response.body, ({ event, data }) => {
+        if (event === 'endpoint') {
+          this.endpoint = new URL(data, this.url).href;
+          resolve();
+        } else if (event === 'message') {
+          this.onmessage?.(JSON.parse(data));
+        }
+      })
+        .then(() => {
+          reject(new Error('MCP event stream closed before an endpoint was received'));
+          this.onclose?.();
+        })
+        .catch((error) => {
+          reject(error);
+          if (error.name !== 'AbortError') {
+            console.error('[MCPTransport] Event stream error:', error);
+          }
+          this.onclose?.();
+        });
+    });
+  }
+
+  /**
+   * Send a JSON-RPC message
+   * @param {Object} message - JSON-RPC request or notification
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request
+   * @returns {Promise<void>}
+   */
+  async send(message, { signal } = {}) {
+    if (!this.endpoint) {
+      throw new Error('SSE transport is not started');
+    }
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(message),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`MCP server responded with ${response.status} ${response.statusText}`);
+    }
+  }
+
+  async close() {
+    this.abortController?.abort();
+    this.abortController = null;
+    this.endpoint = null;
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * Records a voice session of a GeminiAgent for later review: the user's microphone on the left
+ * channel and the model's audio on the right, optionally with the camera or screen video, plus a
+ * WebVTT transcript whose cues are timed against the recording.
+ *
+ * The microphone is tapped after the recorder worklet, so it is recorded as the model hears it,
+ * and the model where it is played, at the AudioStreamer's gain node. Both are mixed by the
+ * session-mixer worklet in the agent's audio context. WAV recordings take the mix as PCM from the
+ * worklet, WebM recordings run it through a MediaRecorder together with the video track.
+ */
+import { Resampler } from '../audio/worklets/resampler.js';
+import { pcm16ToWav } from '../utils/utils.js';
+import { downloadFile } from '../history/conversation-export.js';
+
+const WAV_SAMPLE_RATE = 24000;      // Rate of WAV recordings, the rate of the model's audio
+const FLUSH_TIMEOUT = 500;          // ms to wait for the last PCM of a WAV recording
+const CUE_GAP = 2;                  // Seconds of silence after which a speaker's text starts a new cue
+const SPEAKERS = { user: 'User', model: 'Gemini' };
+
+export class VoiceSessionRecorder {
+    /**
+     * @param {GeminiAgent} agent - Agent whose sessions are recorded, it must be initialized when recording starts
+     */
+    constructor(agent) {
+        this.agent = agent;
+        this.isRecording = false;
+        this.format = null;
+        this.startTime = 0;             // Audio context time of the start of the recording
+        this.startedAt = null;
+        this.mixer = null;
+        this.output = null;             // Node the mix is played into, keeps the worklet running
+        this.micResampler = null;
+        this.pcmChunks = [];
+        this.mediaRecorder = null;
+        this.mediaChunks = [];
+        this.cues = [];
+        this.userSpeechStart = null;    // Start of the user's current utterance, from the voice activity detection
+
+        this.onMicChunk = (event) => this.writeMic(event.detail.int16arrayBuffer);
+        this.setupTranscriptListeners();
+    }
+
+    /**
+     * Starts recording
+     * @param {Object} [options]
+     * @param {string} [options.format='wav'] - 'wav' for audio only, 'webm' for audio and optional video
+     * @param {string} [options.video='none'] - Video of a WebM recording: 'camera', 'screen' or 'none'.
+     *   The camera or screen share must be running, a MediaRecorder cannot add tracks later.
+     */
+    async start({ format = 'wav', video = 'none' } = {}) {
+        if (this.isRecording) return;
+        const { audioContext, audioStreamer, audioRecorder } = this.agent;
+        if (!audioContext || !audioStreamer || !audioRecorder) {
+            throw new Error('Connect before recording the session');
+        }
+
+        await audioContext.audioWorklet.addModule('js/audio/worklets/session-mixer.js');
+        this.mixer = new AudioWorkletNode(audioContext, 'session-mixer', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            processorOptions: format === 'wav' ? { captureSampleRate: WAV_SAMPLE_RATE } : {}
+        });
+        audioStreamer.gainNode.connect(this.mixer);
+
+        if (format === 'wav') {
+            this.pcmChunks = [];
+            this.mixer.port.onmessage = (event) => {
+                if (event.data.event === 'pcm') this.pcmChunks.push(new Int16Array(event.data.data));
+            };
+            // Nothing is heard, but the destination pulls the worklet
+            this.output = audioContext.createGain();
+            this.output.gain.value = 0;
+            this.output.connect(audioContext.destination);
+        } else {
+            this.output = audioContext.createMediaStreamDestination();
+            this.startMediaRecorder([...this.output.stream.getAudioTracks(), ...this.getVideoTracks(video)]);
+        }
+        this.mixer.connect(this.output);
+
+        // The recorder worklet sends 16 kHz, the mixer runs at the context's rate
+        this.micResampler = new Resampler(audioRecorder.sampleRate, audioContext.sampleRate);
+        audioRecorder.addEventListener('audio_chunk', this.onMicChunk);
+
+        this.format = format;
+        this.cues = [];
+        this.userSpeechStart = null;
+        this.startTime = audioContext.currentTime;
+        this.startedAt = new Date();
+        this.isRecording = true;
+        console.info('Voice session recording started', { format, video });
+    }
+
+    /**
+     * @param {string} video - 'camera', 'screen' or 'none'
+     * @returns {Array<MediaStreamTrack>} The video track to record, none if it is not running
+     */
+    getVideoTracks(video) {
+        const manager = { camera: this.agent.cameraManager, screen: this.agent.screenManager }[video];
+        if (!manager) return [];
+        const track = manager.stream?.getVideoTracks()[0];
+        if (!track) {
+            console.warn(`The ${video} is off, recording audio only`);
+            return [];
+        }
+        return [track];
+    }
+
+    /**
+     * @param {Array<MediaStreamTrack>} tracks - Audio track of the mix and optional video track
+     */
+    startMediaRecorder(tracks) {
+        const hasVideo = tracks.some(track => track.kind === 'video');
+        const candidates = hasVideo
+            ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+            : ['audio/webm;codecs=opus', 'audio/webm'];
+        const mimeType = candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        this.mediaChunks = [];
+        this.mediaRecorder = new MediaRecorder(new MediaStream(tracks), { mimeType });
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size) this.mediaChunks.push(event.data);
+        };
+        this.mediaRecorder.start(1000);
+    }
+
+    /**
+     * Passes a microphone chunk to the mixer
+     * @param {ArrayBuffer} int16arrayBuffer - 16-bit PCM from the recorder worklet
+     */
+    writeMic(int16arrayBuffer) {
+        const int16 = new Int16Array(int16arrayBuffer);
+        const float32 = new Float32Array(int16.length);
+        for (let i = 0; i < int16.length; i++) {
+            float32[i] = int16[i] / 32768;
+        }
+        // The resampler reuses its output, the mixer gets a copy
+        const samples = this.micResampler.process(float32).slice();
+        this.mixer.port.postMessage({ event: 'mic', samples }, [samples.buffer]);
+    }
+
+    /**
+     * Stops recording
+     * @returns {Promise<{media: Blob, transcript: string}>} The recording and its WebVTT transcript
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+        this.agent.audioRecorder?.removeEventListener('audio_chunk', this.onMicChunk);
+
+        const media = this.format === 'wav' ? await this.finishWav() : await this.finishWebm();
+
+        this.mixer.port.postMessage({ event: 'stop' });
+        this.mixer.disconnect();
+        this.output.disconnect();
+        try {
+            this.agent.audioStreamer?.gainNode.disconnect(this.mixer);
+        } catch {
+            // The audio context was closed, e.g. by a disconnect
+        }
+        this.mixer = null;
+        this.output = null;
+
+        console.info('Voice session recording stopped', { size: media.size, cues: this.cues.length });
+        return { media, transcript: this.toWebVTT() };
+    }
+
+    /**
+     * @returns {Promise<Blob>} The PCM of the mixer as stereo WAV
+     */
+    async finishWav() {
+        // The mixer holds back up to one block, unless the context is closed already
+        await new Promise((resolve) => {
+            const timeout = setTimeout(resolve, FLUSH_TIMEOUT);
+            this.mixer.port.onmessage = (event) => {
+                if (event.data.event === 'pcm') {
+                    this.pcmChunks.push(new Int16Array(event.data.data));
+                } else if (event.data.event === 'flushed') {
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            };
+            this.mixer.port.postMessage({ event: 'flush' });
+        });
+
+        const pcm = new Int16Array(this.pcmChunks.reduce((length, chunk) => length + chunk.length, 0));
+        let offset = 0;
+        this.pcmChunks.forEach((chunk) => {
+            pcm.set(chunk, offset);
+            offset += chunk.length;
+        });
+        this.pcmChunks = [];
+        return pcm16ToWav(new Uint8Array(pcm.buffer), WAV_SAMPLE_RATE, 2);
+    }
+
+    /**
+     * @returns {Promise<Blob>} What the MediaRecorder recorded
+     */
+    async finishWebm() {
+        if (this.mediaRecorder.state !== 'inactive') {
+            await new Promise((resolve) => {
+                this.mediaRecorder.onstop = resolve;
+                this.mediaRecorder.stop();
+            });
+        }
+        const blob = new Blob(this.mediaChunks, { type: this.mediaRecorder.mimeType || 'video/webm' });
+        this.mediaRecorder = null;
+        this.mediaChunks = [];
+        return blob;
+    }
+
+    /**
+     * Stops recording and downloads the recording with its transcript
+     */
+    async stopAndDownload() {
+        const result = await this.stop();
+        if (!result) return;
+        const name = `gemini-voice-session-${this.startedAt.toISOString().replace(/[:.]/g, '-')}`;
+        downloadFile(`${name}.${this.format}`, result.media, result.media.type);
+        downloadFile(`${name}.vtt`, result.transcript, 'text/vtt');
+    }
+
+    /**
+     * @returns {number} Seconds since the recording started
+     */
+    now() {
+        return this.agent.audioContext ? this.agent.audioContext.currentTime - this.startTime : 0;
+    }
+
+    /**
+     * Collects the transcript while recording. The model's text arrives ahead of its audio, so its
+     * cues are moved to when the audio buffered at that moment is played. The user's cues start
+     * when the voice activity detection heard them start speaking.
+     */
+    setupTranscriptListeners() {
+        const agent = this.agent;
+        const modelTime = () => this.now() + (agent.audioStreamer?.bufferedTime || 0);
+
+        agent.on('speech_start', () => {
+            if (this.isRecording) this.userSpeechStart = this.now();
+        });
+        agent.on('user_transcription', ({ text }) => {
+            if (!this.isRecording) return;
+            this.addText('user', text, this.userSpeechStart ?? this.now(), this.now());
+            this.userSpeechStart = null;
+        });
+        agent.on('text_sent', (text) => {
+            if (!this.isRecording) return;
+            this.addText('user', ` ${text}`, this.now(), this.now());
+            this.closeCue();
+        });
+        agent.on('transcription', ({ text }) => {
+            if (this.isRecording) this.addText('model', text, modelTime(), modelTime());
+        });
+        agent.on('model_text', (text) => {
+            if (this.isRecording) this.addText('model', text, this.now(), this.now());
+        });
+        ['turn_complete', 'interrupted'].forEach((eventName) => {
+            agent.on(eventName, () => {
+                if (!this.isRecording) return;
+                const last = this.cues.at(-1);
+                if (last?.speaker === 'model' && !last.closed) {
+                    last.end = eventName === 'interrupted' ? this.now() : Math.max(last.end, modelTime());
+                }
+                this.closeCue();
+            });
+        });
+    }
+
+    /**
+     * Appends text to the open cue of the speaker, or starts a new cue
+     * @param {string} speaker - 'user' or 'model'
+     * @param {string} text - Text, carrying its own leading whitespace
+     * @param {number} start - Seconds since the start of the recording
+     * @param {number} end - Seconds since the start of the recording
+     */
+    addText(speaker, text, start, end) {
+        if (!text) return;
+        const last = this.cues.at(-1);
+        if (last && !last.closed && last.speaker === speaker && start - last.end < CUE_GAP) {
+            last.text += text;
+            last.end = Math.max(last.end, end);
+            return;
+        }
+        this.closeCue();
+        this.cues.push({ speaker, text, start: Math.max(0, start), end, closed: false });
+    }
+
+    closeCue() {
+        const last = this.cues.at(-1);
+        if (last) last.closed = true;
+    }
+
+    /**
+     * @returns {string} The transcript as WebVTT, with the speakers as voice spans
+     */
+    toWebVTT() {
+        const lines = ['WEBVTT', ''];
+        this.cues.forEach(({ speaker, text, start, end }, index) => {
+            // Cues need a duration to be shown, short ones get one second
+            const cueEnd = Math.max(end, start + 1);
+            lines.push(String(index + 1), `${formatTimestamp(start)} --> ${formatTimestamp(cueEnd)}`);
+            lines.push(`<v ${SPEAKERS[speaker]}>${escapeCueText(text.trim())}`, '');
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * @param {number} seconds - Time in seconds
+ * @returns {string} WebVTT timestamp, hh:mm:ss.ttt
+ */
+function formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * @param {string} text - Cue text
+ * @returns {string} The text with the characters WebVTT reserves escaped, on a single line
+ */
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n+/g, ' ');
+}
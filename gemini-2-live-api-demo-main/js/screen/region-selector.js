@@ -0,0 +1,156 @@
+const MIN_REGION_SIZE = 0.02;   // Drags smaller than this share of the surface are taken as clicks
+
+/**
+ * Lets the user drag a region of interest on the screen preview. The region is kept relative to
+ * the shared surface, as {x, y, width, height} between 0 and 1, so it follows the window when the
+ * surface is resized.
+ */
+export class RegionSelector {
+    /**
+     * @param {HTMLElement} container - Preview container the video is shown in
+     * @param {HTMLVideoElement} video - Video element playing the shared surface
+     * @param {Function} onChange - Called with the new region, or null when it is cleared
+     */
+    constructor(container, video, onChange) {
+        this.container = container;
+        this.video = video;
+        this.onChange = onChange;
+        this.region = null;
+        this.dragStart = null;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'region-selector';
+        this.overlay.title = 'Drag to send only a region of the screen';
+
+        this.rectElement = document.createElement('div');
+        this.rectElement.className = 'region-rect';
+        this.overlay.appendChild(this.rectElement);
+
+        this.clearButton = document.createElement('button');
+        this.clearButton.className = 'region-clear-btn';
+        this.clearButton.textContent = '✕';
+        this.clearButton.title = 'Send the whole screen';
+        this.clearButton.addEventListener('pointerdown', (event) => event.stopPropagation());
+        this.clearButton.addEventListener('click', () => this.setRegion(null));
+        this.overlay.appendChild(this.clearButton);
+
+        this.overlay.addEventListener('pointerdown', (event) => this._onPointerDown(event));
+        this.overlay.addEventListener('pointermove', (event) => this._onPointerMove(event));
+        this.overlay.addEventListener('pointerup', (event) => this._onPointerUp(event));
+        this.overlay.addEventListener('pointercancel', () => this._cancelDrag());
+
+        // The letterboxing changes with the surface's aspect ratio
+        this.onResize = () => this._render(this.region);
+        this.video.addEventListener('resize', this.onResize);
+
+        this.container.appendChild(this.overlay);
+        this._render(null);
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number}|null} region - Region relative
+     *   to the surface, null for the whole surface
+     */
+    setRegion(region) {
+        this.region = region;
+        this._render(region);
+        this.onChange(region);
+    }
+
+    dispose() {
+        this.video.removeEventListener('resize', this.onResize);
+        this.overlay.remove();
+    }
+
+    /**
+     * Where the video is shown in the container, without the letterboxing of object-fit: contain
+     * @returns {{left: number, top: number, width: number, height: number}} Pixels relative to the container
+     * @private
+     */
+    _getContentBox() {
+        const bounds = this.container.getBoundingClientRect();
+        const videoAspectRatio = (this.video.videoHeight / this.video.videoWidth) || (bounds.height / bounds.width);
+        let width = bounds.width;
+        let height = width * videoAspectRatio;
+        if (height > bounds.height) {
+            height = bounds.height;
+            width = height / videoAspectRatio;
+        }
+        return { left: (bounds.width - width) / 2, top: (bounds.height - height) / 2, width, height };
+    }
+
+    /**
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number}} Position relative to the surface, clamped to it
+     * @private
+     */
+    _toSurface(event) {
+        const bounds = this.container.getBoundingClientRect();
+        const box = this._getContentBox();
+        const clamp = (value) => Math.min(1, Math.max(0, value));
+        return {
+            x: clamp((event.clientX - bounds.left - box.left) / box.width),
+            y: clamp((event.clientY - bounds.top - box.top) / box.height)
+        };
+    }
+
+    /**
+     * @param {{x: number, y: number}} a - Corner relative to the surface
+     * @param {{x: number, y: number}} b - Opposite corner
+     * @returns {{x: number, y: number, width: number, height: number}}
+     * @private
+     */
+    _toRegion(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        };
+    }
+
+    _onPointerDown(event) {
+        if (event.button !== 0) return;
+        this.dragStart = this._toSurface(event);
+        this.overlay.setPointerCapture(event.pointerId);
+    }
+
+    _onPointerMove(event) {
+        if (!this.dragStart) return;
+        this._render(this._toRegion(this.dragStart, this._toSurface(event)));
+    }
+
+    _onPointerUp(event) {
+        if (!this.dragStart) return;
+        const region = this._toRegion(this.dragStart, this._toSurface(event));
+        this.dragStart = null;
+
+        if (region.width < MIN_REGION_SIZE || region.height < MIN_REGION_SIZE) {
+            this._render(this.region);
+            return;
+        }
+        this.setRegion(region);
+    }
+
+    _cancelDrag() {
+        this.dragStart = null;
+        this._render(this.region);
+    }
+
+    /**
+     * Show a region on the preview
+     * @param {{x: number, y: number, width: number, height: number}|null} region - Region relative to the surface
+     * @private
+     */
+    _render(region) {
+        this.rectElement.style.display = region ? 'block' : 'none';
+        this.clearButton.style.display = this.region ? 'block' : 'none';
+        if (!region) return;
+
+        const box = this._getContentBox();
+        this.rectElement.style.left = `${box.left + region.x * box.width}px`;
+        this.rectElement.style.top = `${box.top + region.y * box.height}px`;
+        this.rectElement.style.width = `${region.width * box.width}px`;
+        this.rectElement.style.height = `${region.height * box.height}px`;
+    }
+}
@@ -1,18 +1,30 @@
+import { FrameDiffer } from '../capture/frame-differ.js';
+import { RegionSelector } from './region-selector.js';
+
+const THUMBNAIL_WIDTH = 320;    // Width of the full screen thumbnail sent with a region
+
 /**
- * Manages screen sharing capture and image processing
+ * Manages screen sharing capture and image processing.
+ * The user can drag a region of interest on the preview, then only that region is captured, at
+ * the full target width. Optionally a small thumbnail of the whole screen is sent along for context.
  */
 export class ScreenManager {
     /**
      * @param {Object} config
-     * @param {number} config.width - Target width for resizing captured images
+     * @param {number} config.width - Target width for resizing captured images, the height of a tall region
      * @param {number} config.quality - JPEG quality (0-1)
      * @param {Function} [config.onStop] - Callback when screen sharing stops
+     * @param {Object} [config.changeDetection] - FrameDiffer options, capture() skips frames that did not change
+     * @param {boolean} [config.sendThumbnail] - Whether captureThumbnail() returns a thumbnail while a region is selected
+     * @param {Function} [config.onSnapshot] - Called with a frozen frame when the user wants to annotate it
      */
     constructor(config) {
         this.config = {
-            width: config.width || 1280,
+            width: Number(config.width) || 1280,
             quality: config.quality || 0.8,
-            onStop: config.onStop
+            onStop: config.onStop,
+            sendThumbnail: config.sendThumbnail || false,
+            onSnapshot: config.onSnapshot
         };
         
         this.stream = null;
@@ -22,6 +34,13 @@ export class ScreenManager {
         this.isInitialized = false;
         this.aspectRatio = null;
         this.previewContainer = null;
+        this.frameDiffer = new FrameDiffer(config.changeDetection);
+
+        this.region = null;             // Region of interest relative to the surface, null for all of it
+        this.regionSelector = null;
+        this.thumbnailCanvas = null;
+        this.thumbnailDiffer = new FrameDiffer(config.changeDetection);
+        this.snapshotButton = null;
     }
 
     /**
@@ -73,6 +92,16 @@ export class ScreenManager {
 
             await this.videoElement.play();
 
+            if (this.previewContainer) {
+                this.regionSelector = new RegionSelector(
+                    this.previewContainer,
+                    this.videoElement,
+                    (region) => this.setRegion(region)
+                );
+                // Above the region selector
+                this._createSnapshotButton();
+            }
+
             // Get the actual video dimensions
             const videoWidth = this.videoElement.videoWidth;
             const videoHeight = this.videoElement.videoHeight;
@@ -118,26 +147,141 @@ export class ScreenManager {
     }
 
     /**
-     * Capture and process a screenshot
-     * @returns {Promise<string>} Base64 encoded JPEG image
+     * Select the region of interest, the next capture is sent in any case
+     * @param {{x: number, y: number, width: number, height: number}|null} region - Region relative
+     *   to the surface (0-1), null for the whole surface
+     */
+    setRegion(region) {
+        this.region = region;
+        this.frameDiffer.reset();
+        this.thumbnailDiffer.reset();
+    }
+
+    /**
+     * Get the captured part of the current video frame. It is computed on every capture, so the
+     * region follows the surface when it is resized.
+     * @returns {{x: number, y: number, width: number, height: number}} Rectangle in video pixels
+     */
+    getSourceRect() {
+        const videoWidth = this.videoElement.videoWidth;
+        const videoHeight = this.videoElement.videoHeight;
+        if (!this.region) {
+            return { x: 0, y: 0, width: videoWidth, height: videoHeight };
+        }
+        return {
+            x: this.region.x * videoWidth,
+            y: this.region.y * videoHeight,
+            width: Math.max(1, this.region.width * videoWidth),
+            height: Math.max(1, this.region.height * videoHeight)
+        };
+    }
+
+    /**
+     * Capture and process a screenshot, or the region of interest if one is selected
+     * @returns {Promise<string|null>} Base64 encoded JPEG image, null if the frame is not worth sending
      */
     async capture() {
         if (!this.isInitialized) {
             throw new Error('Screen capture not initialized. Call initialize() first.');
         }
 
+        // Fit the canvas to the captured part, the surface may have been resized. The longer side is
+        // the target width, so a thin region does not become a huge image.
+        const rect = this.getSourceRect();
+        const scale = this.config.width / Math.max(rect.width, rect.height);
+        const width = Math.max(1, Math.round(rect.width * scale));
+        const height = Math.max(1, Math.round(rect.height * scale));
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.aspectRatio = rect.height / rect.width;
+
         // Draw current video frame to canvas, maintaining aspect ratio
         this.ctx.drawImage(
             this.videoElement,
+            rect.x, rect.y, rect.width, rect.height,
             0, 0,
             this.canvas.width,
             this.canvas.height
         );
 
+        // Skip frames that look like the ones the model has already seen
+        if (!this.frameDiffer.check(this.canvas).send) {
+            return null;
+        }
+
         // Convert to base64 JPEG with specified quality
         return this.canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
     }
 
+    /**
+     * Freeze the current screen, e.g. to annotate it
+     * @returns {HTMLCanvasElement} Canvas with the frame, its longer side at most the capture width
+     */
+    snapshot() {
+        if (!this.isInitialized) {
+            throw new Error('Screen capture not initialized. Call initialize() first.');
+        }
+
+        const { videoWidth, videoHeight } = this.videoElement;
+        const scale = Math.min(1, Number(this.config.width) / Math.max(videoWidth, videoHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(videoWidth * scale));
+        canvas.height = Math.max(1, Math.round(videoHeight * scale));
+        canvas.getContext('2d').drawImage(this.videoElement, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Add a button to the preview that freezes the frame and hands it to onSnapshot
+     * @private
+     */
+    _createSnapshotButton() {
+        if (!this.config.onSnapshot) return;
+
+        this.snapshotButton = document.createElement('button');
+        this.snapshotButton.className = 'snapshot-btn';
+        this.snapshotButton.innerHTML = '✏️';
+        this.snapshotButton.title = 'Annotate this frame and ask about it';
+        this.snapshotButton.addEventListener('click', () => this.config.onSnapshot(this.snapshot()));
+        this.previewContainer.appendChild(this.snapshotButton);
+    }
+
+    /**
+     * Capture a small image of the whole screen with the region of interest outlined, so the model
+     * knows what is around the region. Only while a region is selected and thumbnails are enabled.
+     * @returns {Promise<string|null>} Base64 encoded JPEG image, null if there is nothing to send
+     */
+    async captureThumbnail() {
+        if (!this.isInitialized || !this.region || !this.config.sendThumbnail) {
+            return null;
+        }
+
+        if (!this.thumbnailCanvas) {
+            this.thumbnailCanvas = document.createElement('canvas');
+        }
+        const canvas = this.thumbnailCanvas;
+        const ctx = canvas.getContext('2d');
+        canvas.width = THUMBNAIL_WIDTH;
+        canvas.height = Math.round(THUMBNAIL_WIDTH * this.videoElement.videoHeight / this.videoElement.videoWidth);
+        ctx.drawImage(this.videoElement, 0, 0, canvas.width, canvas.height);
+
+        if (!this.thumbnailDiffer.check(canvas).send) {
+            return null;
+        }
+
+        ctx.strokeStyle = '#ff0000';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(
+            this.region.x * canvas.width,
+            this.region.y * canvas.height,
+            this.region.width * canvas.width,
+            this.region.height * canvas.height
+        );
+        return canvas.toDataURL('image/jpeg', this.config.quality).split(',')[1];
+    }
+
     /**
      * Stop screen capture and cleanup resources
      */
@@ -152,6 +296,16 @@ export class ScreenManager {
             this.videoElement = null;
         }
 
+        if (this.regionSelector) {
+            this.regionSelector.dispose();
+            this.regionSelector = null;
+        }
+
+        if (this.snapshotButton) {
+            this.snapshotButton.remove();
+            this.snapshotButton = null;
+        }
+
         if (this.previewContainer) {
             this.hidePreview();
             this.previewContainer.innerHTML = ''; // Clear the preview container
@@ -160,6 +314,10 @@ export class ScreenManager {
 
         this.canvas = null;
         this.ctx = null;
+        this.frameDiffer.reset();
+        this.thumbnailDiffer.reset();
+        // A new share may show another surface
+        this.region = null;
         this.isInitialized = false;
         this.aspectRatio = null;
     }
@@ -1,65 +1,246 @@
 import { GeminiAgent } from './main/agent.js';
-import { getConfig, getWebsocketUrl, getDeepgramApiKey, MODEL_SAMPLE_RATE, getSecondMeEnabled } from './config/config.js';
+import { getConfig, getWebsocketUrl, getTranscriptionSettings, getTurnDetection, getSilentAudio, MODEL_SAMPLE_RATE, getSecondMeEnabled, getMCPServerUrls, getRecordSessions, getReplaySessionUrl, getShowAudioStats } from './config/config.js';
 
 import { GoogleSearchTool } from './tools/google-search.js';
 import { ToolManager } from './tools/tool-manager.js';
-import { ChatManager } from './chat/chat-manager.js';
+import { registerMCPTools } from './tools/mcp-tool-adapter.js';
+import { MCPClient } from './mcp/mcp-client.js';
+import { registerVeo2Tools } from './integrations/veo2-integration.js';
+import { SessionManager } from './session/session-manager.js';
+
+import { ConversationStore } from './history/conversation-store.js';
+import { ConversationLogger } from './history/conversation-logger.js';
+import { HistoryBrowser } from './history/history-browser.js';
+import { messagesToTurns } from './history/conversation-export.js';
+
+import { PlaybackStatsOverlay } from './audio/playback-stats-overlay.js';
+
+import { SessionRecorder } from './ws/session-recorder.js';
+import { parseSession, createReplayFactory } from './ws/replay-websocket.js';
 
 import { setupEventListeners } from './dom/events.js';
+import settingsManager from './settings/settings-manager.js';
 import { initCreationStudio } from './creation/creation-studio.js';
 import { secondMeIntegration } from './integrations/second-me-integration.js';
 import brainManager from './integrations/brain-manager.js';
 
 const url = getWebsocketUrl();
-const config = getConfig();
-const deepgramApiKey = getDeepgramApiKey();
 
 const toolManager = new ToolManager();
 toolManager.registerTool('googleSearch', new GoogleSearchTool());
 
-const chatManager = new ChatManager();
+// Expose MCP tools like Veo 2 video generation to the live agent
+const mcpClient = new MCPClient();
+await registerVeo2Tools(mcpClient);
 
-const geminiAgent = new GeminiAgent({
-    url,
-    config,
-    deepgramApiKey,
-    modelSampleRate: MODEL_SAMPLE_RATE,
-    toolManager
-});
+registerMCPTools(toolManager, mcpClient);
 
-// Handle chat-related events
-geminiAgent.on('transcription', (transcript) => {
-    chatManager.updateStreamingMessage(transcript);
-});
+// Connect to user-configured MCP servers in the background, so a slow or unreachable server does not
+// hold up the UI. An unreachable server only loses its own tools, tools of a server that connects
+// late are declared from the next connect of a session on.
+const mcpServersReady = Promise.all(getMCPServerUrls().map(async (serverUrl) => {
+    try {
+        await mcpClient.addServer(serverUrl);
+        registerMCPTools(toolManager, mcpClient);
+    } catch (error) {
+        console.error(`Failed to connect to MCP server ${serverUrl}:`, error);
+    }
+}));
+
+// Record the websocket traffic if enabled in the debugging settings, every agent into its own recorder
+const recordSessions = getRecordSessions();
+
+// Replay a recorded session instead of connecting to the Live API
+let webSocketFactory;
+let replayError = null;
+const replaySessionUrl = getReplaySessionUrl();
+if (replaySessionUrl) {
+    try {
+        const response = await fetch(replaySessionUrl);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const session = parseSession(await response.text());
+        webSocketFactory = createReplayFactory(session);
+        console.info(`Replaying recorded session from ${replaySessionUrl} (${session.frames.length} frames)`);
+    } catch (error) {
+        // Fall back to the Live API, the error is shown in the first conversation
+        replayError = `Could not load the recorded session ${replaySessionUrl}: ${error.message}. Using the Live API instead.`;
+        console.error(replayError, error);
+    }
+}
+
+// Conversations are kept in IndexedDB and can be browsed, exported and continued from the History button
+const conversationStore = new ConversationStore();
+
+/**
+ * Creates the agent of a conversation and renders its events into the session's own transcript
+ * @param {Object} session - Session created by the SessionManager
+ * @returns {GeminiAgent} The agent
+ */
+function createAgent(session) {
+    const { chatManager } = session;
+    const agent = new GeminiAgent({
+        name: `GeminiAgent (${session.name})`,
+        url,
+        config: getConfig(),
+        transcription: getTranscriptionSettings(),
+        transcribeUsersSpeech: true,
+        modelSampleRate: MODEL_SAMPLE_RATE,
+        turnDetection: getTurnDetection(),
+        silentAudio: getSilentAudio(),
+        toolManager,
+        webSocketFactory,
+        sessionRecorder: recordSessions ? new SessionRecorder() : null
+    });
+
+    new ConversationLogger(conversationStore, { conversationId: session.conversationId }).attach(agent);
+
+    // Handle chat-related events
+    agent.on('transcription', ({ text }) => {
+        chatManager.updateStreamingMessage(text);
+    });
+
+    // The user's speech shows up while it is transcribed, interim results are replaced in place
+    agent.on('user_interim_transcription', (segment) => chatManager.updateUserTranscript(segment));
+    agent.on('user_transcription', (segment) => chatManager.updateUserTranscript(segment));
+
+    agent.on('text_sent', (text) => {
+        chatManager.finalizeStreamingMessage();
+        chatManager.addUserMessage(text);
+    });
+
+    agent.on('interrupted', () => {
+        chatManager.finalizeStreamingMessage();
+        if (!chatManager.lastUserMessageType) {
+            chatManager.addUserAudioMessage();
+        }
+    });
+
+    agent.on('turn_complete', () => {
+        chatManager.finalizeStreamingMessage();
+    });
+
+    // Handle text content from the model
+    agent.on('model_text', (text) => {
+        // Start a new message if there isn't one already streaming
+        if (!chatManager.currentStreamingMessage) {
+            chatManager.startModelMessage();
+        }
+        chatManager.updateStreamingMessage(text);
+    });
 
-geminiAgent.on('text_sent', (text) => {
-    chatManager.finalizeStreamingMessage();
-    chatManager.addUserMessage(text);
+    agent.on('grounding', (groundingMetadata) => {
+        chatManager.addCitations(groundingMetadata);
+    });
+
+    // Show tool calls as cards that get their result once the tool finished
+    agent.on('tool_call_started', (functionCalls) => {
+        functionCalls.forEach(call => chatManager.addToolCallCard(call));
+    });
+
+    agent.on('tool_calls', (calls) => {
+        calls.forEach(({ id, response }) => chatManager.updateToolCallCard(id, response));
+    });
+
+    agent.on('tool_call_cancelled', (ids) => {
+        ids.forEach(id => chatManager.updateToolCallCard(id, { cancelled: true }));
+    });
+
+    // Show connection status while the agent recovers from a dropped websocket
+    let reconnectNotice = null;
+
+    agent.on('reconnecting', ({ attempt, maxAttempts }) => {
+        chatManager.finalizeStreamingMessage();
+        const text = `Connection lost. Reconnecting (attempt ${attempt}/${maxAttempts})...`;
+        if (reconnectNotice) {
+            reconnectNotice.textContent = text;
+        } else {
+            reconnectNotice = chatManager.addSystemMessage(text);
+        }
+    });
+
+    agent.on('reconnected', () => {
+        reconnectNotice = null;
+        chatManager.addSystemMessage('Reconnected.');
+    });
+
+    agent.on('reconnect_failed', () => {
+        reconnectNotice = null;
+        chatManager.addSystemMessage('Could not reconnect. Press Talk or send a message to start a new session.');
+    });
+
+    agent.on('go_away', ({ timeLeft }) => {
+        const seconds = timeLeft !== null ? ` in ${Math.round(timeLeft / 1000)} s` : '';
+        chatManager.addSystemMessage(`The server will end this connection${seconds}. Moving to a new session...`);
+    });
+
+    agent.on('handover_complete', () => {
+        chatManager.addSystemMessage('Continued in a new session.');
+    });
+
+    agent.on('server_error', ({ code, reason, description, retryable }) => {
+        const details = reason ? `: ${reason}` : '';
+        const suffix = retryable ? '' : ' The session was ended.';
+        chatManager.addSystemMessage(`${description} (code ${code})${details}.${suffix}`);
+    });
+
+    return agent;
+}
+
+// Every conversation gets its own agent and transcript, see the session list in the left sidebar
+const sessionManager = new SessionManager({
+    createAgent,
+    historyElement: document.getElementById('chatHistory')
 });
 
-geminiAgent.on('interrupted', () => {
-    chatManager.finalizeStreamingMessage();
-    if (!chatManager.lastUserMessageType) {
-        chatManager.addUserAudioMessage();
+// Downloads the recorded traffic of the conversation that is shown
+settingsManager.elements.downloadSessionBtn.addEventListener('click', () => {
+    if (!recordSessions) {
+        alert('Enable "Record Live API sessions" and save the settings first');
+        return;
     }
+    sessionManager.activeAgent?.sessionRecorder?.download();
 });
 
-geminiAgent.on('turn_complete', () => {
-    chatManager.finalizeStreamingMessage();
+sessionManager.on('session_suspended', (session) => {
+    session.chatManager.addSystemMessage('Disconnected after being idle. The conversation continues when you talk or send a message.');
 });
 
-// Handle text content from the model
-geminiAgent.on('model_text', (text) => {
-    // Start a new message if there isn't one already streaming
-    if (!chatManager.currentStreamingMessage) {
-        chatManager.startModelMessage();
+const firstSession = sessionManager.createSession();
+await sessionManager.switchTo(firstSession.id);
+const { chatManager } = firstSession;
+if (replayError) {
+    chatManager.addSystemMessage(replayError);
+}
+
+// Continue a stored conversation in a new session, its turns are sent to the model when the session connects
+const historyBrowser = new HistoryBrowser({
+    store: conversationStore,
+    onContinue: async (conversation, messages) => {
+        const session = sessionManager.createSession(conversation.title || undefined, { conversationId: conversation.id });
+        session.chatManager.addStoredMessages(messages);
+        session.chatManager.addSystemMessage('Continuing this conversation. Talk or send a message to pick up where you left off.');
+        await session.agent.continueConversation(messagesToTurns(messages));
+        await sessionManager.switchTo(session.id);
     }
-    chatManager.updateStreamingMessage(text);
 });
 
-geminiAgent.connect();
+setupEventListeners(sessionManager, historyBrowser);
 
-setupEventListeners(geminiAgent);
+// Connect once the MCP servers are settled, so their tools are part of the first session.
+// Talking or sending a message before that connects right away.
+mcpServersReady.then(() => {
+    // A client exists once the user started connecting the session
+    if (!firstSession.agent.client) {
+        firstSession.agent.connect().catch((error) => console.error('Failed to connect the first session:', error));
+    }
+});
+
+// Playback metrics of the active session if enabled in the debugging settings
+if (getShowAudioStats()) {
+    new PlaybackStatsOverlay(() => sessionManager.activeAgent?.audioStreamer).show();
+}
 
 // Initialize Second-Me integration
 async function initializeSecondMe() {
@@ -71,6 +252,12 @@ async function initializeSecondMe() {
             
             if (secondMeIntegration.isActive()) {
                 console.log('Second-Me integration initialized successfully');
+
+                // Tools registered through Second-Me become available on the next connect
+                const bridgedTools = registerMCPTools(toolManager, secondMeIntegration.getMCPClient());
+                if (bridgedTools.length) {
+                    console.log('Bridged Second-Me MCP tools to the live agent:', bridgedTools);
+                }
                 
                 // Get the enhanced chat manager (if Second-Me is enabled)
                 const enhancedChatManager = secondMeIntegration.getEnhancedChatManager();
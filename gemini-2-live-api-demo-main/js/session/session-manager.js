@@ -0,0 +1,212 @@
+/**
+ * Keeps several named conversations, each with its own GeminiAgent, config and chat transcript.
+ * Only the active session uses the microphone, camera, screen and speakers. Background sessions keep
+ * their websocket until they have been idle for a while, then they disconnect but keep their history,
+ * which is replayed to the model when the conversation is resumed.
+ *
+ * @extends EventEmitter
+ */
+import { EventEmitter } from 'https://cdn.skypack.dev/eventemitter3';
+import { ChatManager } from '../chat/chat-manager.js';
+
+// Agent events that count as activity of a session
+const ACTIVITY_EVENTS = ['text_sent', 'model_text', 'transcription', 'user_transcription', 'turn_complete', 'interrupted'];
+
+export class SessionManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createAgent - Creates the GeminiAgent of a new session, called with the session
+     * @param {HTMLElement} options.historyElement - Chat history element, used by the first session. Later sessions get their own element next to it.
+     * @param {number} [options.idleTimeout=300000] - Time in ms after which a background session closes its websocket
+     * @param {number} [options.idleCheckInterval=30000] - How often in ms background sessions are checked for idleness
+     */
+    constructor({ createAgent, historyElement, idleTimeout = 5 * 60 * 1000, idleCheckInterval = 30000 }) {
+        super();
+        if (!createAgent) throw new Error('createAgent is required');
+        if (!historyElement) throw new Error('historyElement is required');
+
+        this.createAgent = createAgent;
+        this.historyElement = historyElement;
+        this.idleTimeout = idleTimeout;
+        this.sessions = new Map();
+        this.activeId = null;
+        this.nextId = 1;
+
+        this.idleTimer = setInterval(() => this.suspendIdleSessions(), idleCheckInterval);
+    }
+
+    /**
+     * @returns {Object|null} The session shown to the user
+     */
+    get activeSession() {
+        return this.sessions.get(this.activeId) || null;
+    }
+
+    /**
+     * @returns {GeminiAgent|null} Agent of the active session
+     */
+    get activeAgent() {
+        return this.activeSession?.agent || null;
+    }
+
+    /**
+     * @returns {Array<Object>} All sessions in creation order
+     */
+    listSessions() {
+        return [...this.sessions.values()];
+    }
+
+    /**
+     * Creates a new session with its own agent and chat transcript. The session is not connected yet.
+     * @param {string} [name] - Display name, defaults to "Chat <n>"
+     * @param {Object} [options]
+     * @param {string} [options.conversationId] - Stored conversation the session continues
+     * @returns {Object} The session: { id, name, agent, chatManager, element, createdAt, lastActivity, usage, conversationId }
+     */
+    createSession(name, { conversationId = null } = {}) {
+        const id = `session-${this.nextId++}`;
+
+        // The first session takes over the existing chat history element
+        let element = this.historyElement;
+        if (this.sessions.size || !element.isConnected) {
+            element = document.createElement('div');
+            element.className = 'chat-history';
+            const last = this.listSessions().pop()?.element || this.historyElement;
+            last.after(element);
+        }
+        element.id = `chatHistory-${id}`;
+        element.hidden = true;
+
+        const session = {
+            id,
+            name: name || `Chat ${this.nextId - 1}`,
+            agent: null,
+            chatManager: new ChatManager(element),
+            element,
+            createdAt: Date.now(),
+            lastActivity: Date.now(),
+            usage: null,
+            conversationId
+        };
+        session.agent = this.createAgent(session);
+
+        ACTIVITY_EVENTS.forEach(eventName => session.agent.on(eventName, () => this.touch(session)));
+        session.agent.on('usage_metadata', (usage) => {
+            session.usage = usage;
+        });
+        ['connected', 'disconnected'].forEach(eventName => session.agent.on(eventName, () => this.emit('session_updated', session)));
+
+        this.sessions.set(id, session);
+        console.info(`Session ${session.name} created`);
+        this.emit('session_created', session);
+        return session;
+    }
+
+    /**
+     * Shows a session and hands the media devices over to its agent.
+     * The previous session releases its devices but keeps its websocket until it becomes idle.
+     * @param {string} id - Session id
+     * @returns {Promise<Object>} The now active session
+     */
+    async switchTo(id) {
+        const session = this.sessions.get(id);
+        if (!session) throw new Error(`Unknown session ${id}`);
+
+        const previous = this.activeSession;
+        if (previous === session) return session;
+
+        if (previous) {
+            previous.element.hidden = true;
+            previous.chatManager.finalizeStreamingMessage();
+            await previous.agent.setActive(false);
+            this.touch(previous);
+        }
+
+        this.activeId = id;
+        session.element.hidden = false;
+        session.chatManager.scrollToBottom();
+        await session.agent.setActive(true);
+
+        console.info(`Switched to session ${session.name}`);
+        this.emit('session_switched', { previous, current: session });
+        return session;
+    }
+
+    /**
+     * Renames a session
+     * @param {string} id - Session id
+     * @param {string} name - New display name
+     */
+    renameSession(id, name) {
+        const session = this.sessions.get(id);
+        if (!session || !name?.trim()) return;
+
+        session.name = name.trim();
+        this.emit('session_updated', session);
+    }
+
+    /**
+     * Disconnects and removes a session with its transcript.
+     * Closing the active session switches to the most recent other session, or to a new one.
+     * @param {string} id - Session id
+     */
+    async closeSession(id) {
+        const session = this.sessions.get(id);
+        if (!session) return;
+
+        if (this.activeId === id) {
+            const others = this.listSessions().filter(other => other !== session);
+            const next = others.length ? others[others.length - 1] : this.createSession();
+            await this.switchTo(next.id);
+        }
+
+        if (session.agent.connected) {
+            await session.agent.disconnect();
+        }
+        session.element.remove();
+        this.sessions.delete(id);
+
+        console.info(`Session ${session.name} closed`);
+        this.emit('session_closed', session);
+    }
+
+    /**
+     * Marks a session as active now, which postpones its idle disconnect
+     * @param {Object} session - The session
+     */
+    touch(session) {
+        session.lastActivity = Date.now();
+    }
+
+    /**
+     * Disconnects background sessions that have been idle for longer than idleTimeout.
+     * Their transcript and conversation turns are kept, so they can be resumed later.
+     */
+    async suspendIdleSessions() {
+        const now = Date.now();
+        for (const session of this.sessions.values()) {
+            if (session.id === this.activeId || !session.agent.connected) continue;
+            if (now - session.lastActivity < this.idleTimeout) continue;
+
+            try {
+                await session.agent.disconnect();
+                console.info(`Session ${session.name} was idle and disconnected`);
+                this.emit('session_suspended', session);
+            } catch (error) {
+                console.error(`Error suspending session ${session.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Disconnects all sessions and stops the idle check
+     */
+    async dispose() {
+        clearInterval(this.idleTimer);
+        for (const session of this.sessions.values()) {
+            if (session.agent.connected) {
+                await session.agent.disconnect();
+            }
+        }
+    }
+}
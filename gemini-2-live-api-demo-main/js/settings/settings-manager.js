@@ -25,7 +25,11 @@ class SettingsManager {
             dialog: this.dialog,
             overlay: this.overlay,
             apiKeyInput: this.dialog.querySelector('#apiKey'),
+            liveApiUrlInput: this.dialog.querySelector('#liveApiUrl'),
             deepgramApiKeyInput: this.dialog.querySelector('#deepgramApiKey'),
+            transcriptionProviderSelect: this.dialog.querySelector('#transcriptionProvider'),
+            whisperUrlInput: this.dialog.querySelector('#whisperUrl'),
+            whisperModelInput: this.dialog.querySelector('#whisperModel'),
             veo2AccessTokenInput: this.dialog.querySelector('#veo2AccessToken'),
             veo2ApiUrlInput: this.dialog.querySelector('#veo2ApiUrl'),
             secondMeToggle: this.dialog.querySelector('#secondMeToggle'),
@@ -35,7 +39,13 @@ class SettingsManager {
             reactVideoEditorToggle: this.dialog.querySelector('#reactVideoEditorToggle'),
             reactVideoEditorContent: this.dialog.querySelector('#reactVideoEditorToggle + .collapsible-content'),
             reactVideoEditorUrlInput: this.dialog.querySelector('#reactVideoEditorUrl'),
+            mcpServersToggle: this.dialog.querySelector('#mcpServersToggle'),
+            mcpServersContent: this.dialog.querySelector('#mcpServersToggle + .collapsible-content'),
+            mcpServersInput: this.dialog.querySelector('#mcpServers'),
             voiceSelect: this.dialog.querySelector('#voice'),
+            turnDetectionSelect: this.dialog.querySelector('#turnDetection'),
+            silentAudioSelect: this.dialog.querySelector('#silentAudio'),
+            sessionRecordingFormatSelect: this.dialog.querySelector('#sessionRecordingFormat'),
             sampleRateInput: this.dialog.querySelector('#sampleRate'),
             sampleRateValue: this.dialog.querySelector('#sampleRateValue'),
             systemInstructionsToggle: this.dialog.querySelector('#systemInstructionsToggle'),
@@ -49,6 +59,12 @@ class SettingsManager {
             resizeWidthValue: this.dialog.querySelector('#resizeWidthValue'),
             qualityInput: this.dialog.querySelector('#quality'),
             qualityValue: this.dialog.querySelector('#qualityValue'),
+            frameChangeThresholdInput: this.dialog.querySelector('#frameChangeThreshold'),
+            frameChangeThresholdValue: this.dialog.querySelector('#frameChangeThresholdValue'),
+            keyframeIntervalInput: this.dialog.querySelector('#keyframeInterval'),
+            keyframeIntervalValue: this.dialog.querySelector('#keyframeIntervalValue'),
+            captureLayoutSelect: this.dialog.querySelector('#captureLayout'),
+            sendScreenThumbnailInput: this.dialog.querySelector('#sendScreenThumbnail'),
             advancedToggle: this.dialog.querySelector('#advancedToggle'),
             advancedContent: this.dialog.querySelector('#advancedToggle + .collapsible-content'),
             temperatureInput: this.dialog.querySelector('#temperature'),
@@ -67,6 +83,11 @@ class SettingsManager {
             sexualValue: this.dialog.querySelector('#sexualValue'),
             civicInput: this.dialog.querySelector('#civicIntegrityThreshold'),
             civicValue: this.dialog.querySelector('#civicValue'),
+            debugToggle: this.dialog.querySelector('#debugToggle'),
+            debugContent: this.dialog.querySelector('#debugToggle + .collapsible-content'),
+            recordSessionsInput: this.dialog.querySelector('#recordSessions'),
+            showAudioStatsInput: this.dialog.querySelector('#showAudioStats'),
+            downloadSessionBtn: this.dialog.querySelector('#downloadSessionBtn'),
             saveBtn: this.dialog.querySelector('#settingsSaveBtn')
         };
     }
@@ -110,11 +131,19 @@ class SettingsManager {
             this.toggleCollapsible(this.elements.reactVideoEditorToggle, this.elements.reactVideoEditorContent);
         });
 
+        this.elements.debugToggle.addEventListener('click', () => {
+            this.toggleCollapsible(this.elements.debugToggle, this.elements.debugContent);
+        });
+
+        this.elements.mcpServersToggle.addEventListener('click', () => {
+            this.toggleCollapsible(this.elements.mcpServersToggle, this.elements.mcpServersContent);
+        });
+
         // Add input listeners for real-time value updates
         const inputElements = [
             'sampleRateInput', 'temperatureInput', 'topPInput', 'topKInput',
-            'fpsInput', 'resizeWidthInput', 'qualityInput', 'harassmentInput',
-            'dangerousInput', 'sexualInput', 'civicInput'
+            'fpsInput', 'resizeWidthInput', 'qualityInput', 'frameChangeThresholdInput',
+            'keyframeIntervalInput', 'harassmentInput', 'dangerousInput', 'sexualInput', 'civicInput'
         ];
 
         inputElements.forEach(elementName => {
@@ -125,7 +154,11 @@ class SettingsManager {
     loadSettings() {
         // Load values from localStorage
         this.elements.apiKeyInput.value = localStorage.getItem('apiKey') || '';
+        this.elements.liveApiUrlInput.value = localStorage.getItem('liveApiUrl') || '';
         this.elements.deepgramApiKeyInput.value = localStorage.getItem('deepgramApiKey') || '';
+        this.elements.transcriptionProviderSelect.value = localStorage.getItem('transcriptionProvider') || 'live-api';
+        this.elements.whisperUrlInput.value = localStorage.getItem('whisperUrl') || '';
+        this.elements.whisperModelInput.value = localStorage.getItem('whisperModel') || '';
         this.elements.veo2AccessTokenInput.value = localStorage.getItem('veo2AccessToken') || '';
         this.elements.veo2ApiUrlInput.value = localStorage.getItem('veo2ApiUrl') || '';
         
@@ -135,7 +168,13 @@ class SettingsManager {
         
         // Load React Video Editor settings
         this.elements.reactVideoEditorUrlInput.value = localStorage.getItem('reactVideoEditorUrl') || 'http://localhost:3000';
+
+        // Load MCP server settings
+        this.elements.mcpServersInput.value = localStorage.getItem('mcpServers') || '';
         this.elements.voiceSelect.value = localStorage.getItem('voiceName') || 'Aoede';
+        this.elements.turnDetectionSelect.value = localStorage.getItem('turnDetection') || 'server';
+        this.elements.silentAudioSelect.value = localStorage.getItem('silentAudio') || 'send';
+        this.elements.sessionRecordingFormatSelect.value = localStorage.getItem('sessionRecordingFormat') || 'wav';
         this.elements.sampleRateInput.value = localStorage.getItem('sampleRate') || '27000';
         this.elements.systemInstructionsInput.value = localStorage.getItem('systemInstructions') || 'You are a helpful assistant';
         this.elements.temperatureInput.value = localStorage.getItem('temperature') || '1.8';
@@ -146,6 +185,10 @@ class SettingsManager {
         this.elements.fpsInput.value = localStorage.getItem('fps') || '1';
         this.elements.resizeWidthInput.value = localStorage.getItem('resizeWidth') || '640';
         this.elements.qualityInput.value = localStorage.getItem('quality') || '0.3';
+        this.elements.frameChangeThresholdInput.value = localStorage.getItem('frameChangeThreshold') ?? '2';
+        this.elements.keyframeIntervalInput.value = localStorage.getItem('keyframeInterval') || '10';
+        this.elements.captureLayoutSelect.value = localStorage.getItem('captureLayout') || 'pip-bottom-right';
+        this.elements.sendScreenThumbnailInput.checked = localStorage.getItem('sendScreenThumbnail') === 'true';
 
         // Initialize safety settings
         this.elements.harassmentInput.value = localStorage.getItem('harassmentThreshold') || '3';
@@ -153,12 +196,20 @@ class SettingsManager {
         this.elements.sexualInput.value = localStorage.getItem('sexuallyExplicitThreshold') || '3';
         this.elements.civicInput.value = localStorage.getItem('civicIntegrityThreshold') || '3';
 
+        // Initialize debugging settings
+        this.elements.recordSessionsInput.checked = localStorage.getItem('recordSessions') === 'true';
+        this.elements.showAudioStatsInput.checked = localStorage.getItem('showAudioStats') === 'true';
+
         this.updateDisplayValues();
     }
 
     saveSettings() {
         localStorage.setItem('apiKey', this.elements.apiKeyInput.value);
+        localStorage.setItem('liveApiUrl', this.elements.liveApiUrlInput.value.trim());
         localStorage.setItem('deepgramApiKey', this.elements.deepgramApiKeyInput.value);
+        localStorage.setItem('transcriptionProvider', this.elements.transcriptionProviderSelect.value);
+        localStorage.setItem('whisperUrl', this.elements.whisperUrlInput.value.trim());
+        localStorage.setItem('whisperModel', this.elements.whisperModelInput.value.trim());
         localStorage.setItem('veo2AccessToken', this.elements.veo2AccessTokenInput.value);
         localStorage.setItem('veo2ApiUrl', this.elements.veo2ApiUrlInput.value);
         
@@ -168,7 +219,13 @@ class SettingsManager {
         
         // Save React Video Editor settings
         localStorage.setItem('reactVideoEditorUrl', this.elements.reactVideoEditorUrlInput.value);
+
+        // Save MCP server settings
+        localStorage.setItem('mcpServers', this.elements.mcpServersInput.value);
         localStorage.setItem('voiceName', this.elements.voiceSelect.value);
+        localStorage.setItem('turnDetection', this.elements.turnDetectionSelect.value);
+        localStorage.setItem('silentAudio', this.elements.silentAudioSelect.value);
+        localStorage.setItem('sessionRecordingFormat', this.elements.sessionRecordingFormatSelect.value);
         localStorage.setItem('sampleRate', this.elements.sampleRateInput.value);
         localStorage.setItem('systemInstructions', this.elements.systemInstructionsInput.value);
         localStorage.setItem('temperature', this.elements.temperatureInput.value);
@@ -179,12 +236,20 @@ class SettingsManager {
         localStorage.setItem('fps', this.elements.fpsInput.value);
         localStorage.setItem('resizeWidth', this.elements.resizeWidthInput.value);
         localStorage.setItem('quality', this.elements.qualityInput.value);
+        localStorage.setItem('frameChangeThreshold', this.elements.frameChangeThresholdInput.value);
+        localStorage.setItem('keyframeInterval', this.elements.keyframeIntervalInput.value);
+        localStorage.setItem('captureLayout', this.elements.captureLayoutSelect.value);
+        localStorage.setItem('sendScreenThumbnail', this.elements.sendScreenThumbnailInput.checked);
 
         // Save safety settings
         localStorage.setItem('harassmentThreshold', this.elements.harassmentInput.value);
         localStorage.setItem('dangerousContentThreshold', this.elements.dangerousInput.value);
         localStorage.setItem('sexuallyExplicitThreshold', this.elements.sexualInput.value);
         localStorage.setItem('civicIntegrityThreshold', this.elements.civicInput.value);
+
+        // Save debugging settings
+        localStorage.setItem('recordSessions', this.elements.recordSessionsInput.checked);
+        localStorage.setItem('showAudioStats', this.elements.showAudioStatsInput.checked);
         
         // Save UI settings (these are managed in the sidebar but we want to persist them)
         const language = localStorage.getItem('language') || 'en-US';
@@ -213,6 +278,8 @@ class SettingsManager {
         this.elements.fpsValue.textContent = this.elements.fpsInput.value + ' FPS';
         this.elements.resizeWidthValue.textContent = this.elements.resizeWidthInput.value + 'px';
         this.elements.qualityValue.textContent = this.elements.qualityInput.value;
+        this.elements.frameChangeThresholdValue.textContent = this.elements.frameChangeThresholdInput.value + '%';
+        this.elements.keyframeIntervalValue.textContent = this.elements.keyframeIntervalInput.value + 's';
         this.elements.harassmentValue.textContent = this.getThresholdLabel(this.elements.harassmentInput.value);
         this.elements.dangerousValue.textContent = this.getThresholdLabel(this.elements.dangerousInput.value);
         this.elements.sexualValue.textContent = this.getThresholdLabel(this.elements.sexualInput.value);
@@ -249,7 +316,13 @@ class SettingsManager {
     getSettings() {
         return {
             apiKey: localStorage.getItem('apiKey') || '',
+            liveApiUrl: localStorage.getItem('liveApiUrl') || '',
             deepgramApiKey: localStorage.getItem('deepgramApiKey') || '',
+            transcription: {
+                provider: localStorage.getItem('transcriptionProvider') || 'live-api',
+                whisperUrl: localStorage.getItem('whisperUrl') || '',
+                whisperModel: localStorage.getItem('whisperModel') || ''
+            },
             veo2: {
                 accessToken: localStorage.getItem('veo2AccessToken') || '',
                 apiUrl: localStorage.getItem('veo2ApiUrl') || ''
@@ -262,8 +335,12 @@ class SettingsManager {
             reactVideoEditor: {
                 editorUrl: localStorage.getItem('reactVideoEditorUrl') || 'http://localhost:3000'
             },
+            mcpServers: (localStorage.getItem('mcpServers') || '').split('\n').map(url => url.trim()).filter(Boolean),
             voice: localStorage.getItem('voiceName') || 'Aoede',
             sampleRate: parseInt(localStorage.getItem('sampleRate') || '27000'),
+            turnDetection: localStorage.getItem('turnDetection') || 'server',
+            silentAudio: localStorage.getItem('silentAudio') || 'send',
+            sessionRecordingFormat: localStorage.getItem('sessionRecordingFormat') || 'wav',
             systemInstructions: localStorage.getItem('systemInstructions') || 'You are a helpful assistant',
             temperature: parseFloat(localStorage.getItem('temperature') || '1.8'),
             top_p: parseFloat(localStorage.getItem('top_p') || '0.95'),
@@ -271,12 +348,18 @@ class SettingsManager {
             fps: parseInt(localStorage.getItem('fps') || '1'),
             resizeWidth: parseInt(localStorage.getItem('resizeWidth') || '640'),
             quality: parseFloat(localStorage.getItem('quality') || '0.3'),
+            frameChangeThreshold: parseFloat(localStorage.getItem('frameChangeThreshold') ?? '2'),
+            keyframeInterval: parseFloat(localStorage.getItem('keyframeInterval') || '10'),
+            captureLayout: localStorage.getItem('captureLayout') || 'pip-bottom-right',
+            sendScreenThumbnail: localStorage.getItem('sendScreenThumbnail') === 'true',
             safetySettings: {
                 harassment: parseInt(localStorage.getItem('harassmentThreshold') || '3'),
                 dangerous: parseInt(localStorage.getItem('dangerousContentThreshold') || '3'),
                 sexual: parseInt(localStorage.getItem('sexuallyExplicitThreshold') || '3'),
                 civic: parseInt(localStorage.getItem('civicIntegrityThreshold') || '3')
             },
+            recordSessions: localStorage.getItem('recordSessions') === 'true',
+            showAudioStats: localStorage.getItem('showAudioStats') === 'true',
             features: {
                 structuredOutput: localStorage.getItem('structuredOutput') === 'true',
                 codeExecution: localStorage.getItem('codeExecution') === 'true',
@@ -4,11 +4,39 @@ export const settingsTemplate = `
     <input type="password" id="apiKey" placeholder="Enter your Gemini API key">
 </div>
 
+<div class="settings-group">
+    <label for="liveApiUrl">Live API URL (Optional)</label>
+    <input type="text" id="liveApiUrl" placeholder="Leave blank to use the Gemini Live API">
+    <small class="field-note">Point to ws://localhost:8765 to use the local mock server</small>
+</div>
+
+<div class="settings-group">
+    <label for="transcriptionProvider">Transcription</label>
+    <select id="transcriptionProvider">
+        <option value="live-api">Live API</option>
+        <option value="deepgram">Deepgram</option>
+        <option value="whisper">Whisper server</option>
+        <option value="none">Off</option>
+    </select>
+    <small class="field-note">Transcribes the model's and your speech in the language selected in the sidebar</small>
+</div>
+
 <div class="settings-group">
     <label for="deepgramApiKey">Deepgram API Key (Optional)</label>
     <input type="password" id="deepgramApiKey" placeholder="Enter your Deepgram API key">
 </div>
 
+<div class="settings-group">
+    <label for="whisperUrl">Whisper Server URL (Required for Whisper)</label>
+    <input type="text" id="whisperUrl" placeholder="http://localhost:9000/v1/audio/transcriptions">
+    <small class="field-note">OpenAI-compatible transcription endpoint, or a ws:// URL for servers that stream results</small>
+</div>
+
+<div class="settings-group">
+    <label for="whisperModel">Whisper Model (Optional)</label>
+    <input type="text" id="whisperModel" placeholder="whisper-1">
+</div>
+
 <div class="settings-group">
     <label for="veo2AccessToken">Veo 2 Access Token (Required for video generation)</label>
     <input type="password" id="veo2AccessToken" placeholder="Enter your Vertex AI access token">
@@ -48,6 +76,17 @@ export const settingsTemplate = `
     </div>
 </div>
 
+<div class="settings-group">
+    <div class="collapsible" id="mcpServersToggle">MCP Servers ▼</div>
+    <div class="collapsible-content">
+        <div class="settings-group">
+            <label for="mcpServers">Server URLs (one per line)</label>
+            <textarea id="mcpServers" rows="3" placeholder="http://localhost:3001/mcp"></textarea>
+            <small class="field-note">Streamable HTTP endpoints, or URLs ending in /sse for HTTP+SSE servers</small>
+        </div>
+    </div>
+</div>
+
 <div class="settings-group">
     <label for="voice">Voice</label>
     <select id="voice">
@@ -59,6 +98,36 @@ export const settingsTemplate = `
     </select>
 </div>
 
+<div class="settings-group">
+    <label for="turnDetection">Turn Detection</label>
+    <select id="turnDetection">
+        <option value="server">Live API</option>
+        <option value="vad">Local voice activity detection</option>
+        <option value="push-to-talk">Push to talk</option>
+    </select>
+    <small class="field-note">Default for new conversations, switch the current one in the sidebar. Hold the Talk button or Space to talk in push-to-talk mode</small>
+</div>
+
+<div class="settings-group">
+    <label for="silentAudio">Microphone Audio Without Speech</label>
+    <select id="silentAudio">
+        <option value="send">Send</option>
+        <option value="throttle">Send one chunk per second</option>
+        <option value="drop">Drop</option>
+    </select>
+</div>
+
+<div class="settings-group">
+    <label for="sessionRecordingFormat">Session Recording</label>
+    <select id="sessionRecordingFormat">
+        <option value="wav">WAV, audio only</option>
+        <option value="webm">WebM, audio only</option>
+        <option value="webm-camera">WebM with camera video</option>
+        <option value="webm-screen">WebM with screen video</option>
+    </select>
+    <small class="field-note">Format of the Record button: you on the left channel, the model on the right, with a WebVTT transcript. Start the camera or screen share before recording to include it</small>
+</div>
+
 <div class="settings-group">
     <label for="sampleRate">Sample Rate</label>
     <input type="range" id="sampleRate" min="8000" max="48000" step="1000">
@@ -90,6 +159,34 @@ export const settingsTemplate = `
             <input type="range" id="quality" min="0.1" max="1" step="0.1">
             <span id="qualityValue"></span>
         </div>
+        <div class="settings-group">
+            <label for="frameChangeThreshold">Change Threshold (0-20%, 0 sends every frame)</label>
+            <input type="range" id="frameChangeThreshold" min="0" max="20" step="1">
+            <span id="frameChangeThresholdValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="keyframeInterval">Keyframe Interval (1-60s)</label>
+            <input type="range" id="keyframeInterval" min="1" max="60" step="1">
+            <span id="keyframeIntervalValue"></span>
+        </div>
+        <div class="settings-group">
+            <label for="captureLayout">Camera With Screen Share</label>
+            <select id="captureLayout">
+                <option value="pip-bottom-right">Picture-in-picture, bottom right</option>
+                <option value="pip-bottom-left">Picture-in-picture, bottom left</option>
+                <option value="pip-top-right">Picture-in-picture, top right</option>
+                <option value="pip-top-left">Picture-in-picture, top left</option>
+                <option value="side-by-side">Side by side</option>
+                <option value="separate">Separate frames</option>
+            </select>
+            <small class="field-note">How camera and screen are sent while both are on. The layouts compose them into one labeled frame</small>
+        </div>
+        <div class="settings-group">
+            <label class="settings-checkbox">
+                <input type="checkbox" id="sendScreenThumbnail"> Send a screen thumbnail with the region
+            </label>
+            <small class="field-note">Drag on the screen preview to send only a region at full resolution. With this on, a small picture of the whole screen is sent along for context</small>
+        </div>
     </div>
 </div>
 
@@ -140,4 +237,26 @@ export const settingsTemplate = `
     </div>
 </div>
 
+<div class="settings-group">
+    <div class="collapsible" id="debugToggle">Debugging ▼</div>
+    <div class="collapsible-content">
+        <div class="settings-group">
+            <label class="settings-checkbox">
+                <input type="checkbox" id="recordSessions"> Record Live API sessions
+            </label>
+            <small class="field-note">Keeps every frame sent to and received from the Live API in memory</small>
+        </div>
+        <div class="settings-group">
+            <label class="settings-checkbox">
+                <input type="checkbox" id="showAudioStats"> Show audio playback statistics
+            </label>
+            <small class="field-note">Overlay with the jitter buffer, latency and underruns of the model's audio</small>
+        </div>
+        <div class="settings-group">
+            <button id="downloadSessionBtn" class="secondary-btn" type="button">Download recorded session</button>
+            <small class="field-note">Replay a downloaded session offline by opening the app with ?replay=&lt;session file URL&gt;</small>
+        </div>
+    </div>
+</div>
+
 <button id="settingsSaveBtn" class="settings-save-btn">Save Settings</button>`; 
\ No newline at end of file
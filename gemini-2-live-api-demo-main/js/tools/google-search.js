@@ -1,12 +1,10 @@
+/**
+ * Google Search grounding. This is a native tool of the Live API: the server runs the search
+ * itself, so it is declared as `{ googleSearch: {} }` instead of a function declaration.
+ */
 export class GoogleSearchTool {
-    
-    getDeclaration() {
-        return { 
-            name: 'googleSearch',
-        };
-    }
 
-    execute(args) {
-        return;
+    getNativeTool() {
+        return { googleSearch: {} };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+const MAX_SCHEMA_DEPTH = 10;    // $refs are inlined, recursive schemas are cut off at this depth
+
+/**
+ * Converts the JSON schema of an MCP tool to the OpenAPI subset the Live API accepts for function
+ * parameters: type, properties, required, items, enum, description and nullable. Keywords such as
+ * $schema or additionalProperties make the setup fail, so they are left out. Local $refs are
+ * inlined, allOf subschemas are merged, type unions with null and anyOf/oneOf of one type plus
+ * null become nullable.
+ * @param {Object} schema - JSON schema
+ * @param {Object} [root=schema] - Schema the $refs point into
+ * @param {number} [depth=0] - Nesting depth, used to stop on recursive $refs
+ * @returns {Object} Schema in the supported subset
+ */
+export function toGeminiSchema(schema, root = schema, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+        return { type: 'string' };
+    }
+
+    if (typeof schema.$ref === 'string') {
+        const target = schema.$ref.startsWith('#/')
+            ? schema.$ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+            : null;
+        const resolved = toGeminiSchema(target, root, depth + 1);
+        return schema.description ? { ...resolved, description: schema.description } : resolved;
+    }
+
+    if (Array.isArray(schema.allOf) && schema.allOf.length) {
+        return mergeAllOf(schema, root, depth);
+    }
+
+    // anyOf/oneOf are not supported, keep the first alternative that is not null
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (Array.isArray(alternatives) && alternatives.length) {
+        const options = alternatives.filter((option) => option?.type !== 'null');
+        const converted = toGeminiSchema(options[0] ?? alternatives[0], root, depth + 1);
+        if (options.length < alternatives.length) converted.nullable = true;
+        if (schema.description) converted.description = schema.description;
+        return converted;
+    }
+
+    const result = {};
+    let type = schema.type;
+    if (Array.isArray(type)) {
+        if (type.includes('null')) result.nullable = true;
+        type = type.find((t) => t !== 'null') ?? 'string';
+    }
+    if (!type) {
+        type = schema.properties ? 'object' : schema.items ? 'array' : 'string';
+    }
+    result.type = type;
+
+    if (typeof schema.description === 'string') result.description = schema.description;
+    if (schema.nullable === true) result.nullable = true;
+
+    // Only string enums are supported
+    const values = schema.enum ?? (schema.const !== undefined ? [schema.const] : null);
+    if (Array.isArray(values) && values.length && values.every((value) => typeof value === 'string')) {
+        result.enum = values;
+    }
+
+    if (type === 'object' && schema.properties && typeof schema.properties === 'object') {
+        result.properties = {};
+        Object.entries(schema.properties).forEach(([key, property]) => {
+            result.properties[key] = toGeminiSchema(property, root, depth + 1);
+        });
+        const required = (schema.required || []).filter((key) => key in result.properties);
+        if (required.length) result.required = required;
+    }
+
+    if (type === 'array') {
+        result.items = toGeminiSchema(schema.items, root, depth + 1);
+    }
+
+    return result;
+}
+
+/**
+ * Converts a schema with allOf to one schema, as every subschema must hold: their properties and
+ * required keys are merged, the type and enum are taken from the first subschema that has one
+ * @param {Object} schema - JSON schema with allOf
+ * @param {Object} root - Schema the $refs point into
+ * @param {number} depth - Nesting depth
+ * @returns {Object} Schema in the supported subset
+ */
+function mergeAllOf(schema, root, depth) {
+    const { allOf, ...rest } = schema;
+    const sources = [rest, ...allOf].filter((part) => part && typeof part === 'object' && Object.keys(part).length);
+    const parts = sources.map((part) => toGeminiSchema(part, root, depth + 1));
+    // Subschemas that only add keywords such as required do not decide the type
+    const typed = sources.findIndex((part) => part.type || part.$ref || part.properties || part.items || part.anyOf || part.oneOf || part.allOf);
+    const result = { ...(parts[typed === -1 ? 0 : typed] ?? { type: 'string' }) };
+
+    const properties = Object.assign({}, ...parts.map((part) => part.properties));
+    if (Object.keys(properties).length) {
+        result.type = 'object';
+        result.properties = properties;
+        // Also taken from the sources, a subschema with only required has no properties to keep them
+        const required = [...new Set([...parts, ...sources].flatMap((part) => Array.isArray(part.required) ? part.required : []))]
+            .filter((key) => key in properties);
+        if (required.length) result.required = required;
+    }
+
+    const values = parts.find((part) => part.enum)?.enum;
+    if (values) result.enum = values;
+
+    // null only passes if every subschema allows it
+    if (parts.some((part) => !part.nullable)) delete result.nullable;
+    const description = parts.find((part) => part.description)?.description;
+    if (description) result.description = description;
+    return result;
+}
+
+/**
+ * Adapter that exposes tools registered on an MCPClient to the ToolManager,
+ * so the Gemini Live agent can call them like any other function tool.
+ */
+export class MCPToolAdapter {
+    /**
+     * @param {MCPClient} mcpClient - MCP client that owns the tool
+     * @param {Object} tool - Tool description from mcpClient.getRegisteredTools()
+     * @param {string} tool.name - Tool name
+     * @param {string} tool.description - Tool description
+     * @param {Object} tool.schema - JSON schema of the tool parameters
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Per-call timeout in ms, MCP tools like video generation can take minutes
+     */
+    constructor(mcpClient, { name, description, schema }, { timeout = 300000 } = {}) {
+        this.mcpClient = mcpClient;
+        this.name = name;
+        this.description = description;
+        this.schema = schema;
+        this.parameters = schema ? toGeminiSchema(schema) : null;
+        this.timeout = timeout;
+    }
+
+    getDeclaration() {
+        const declaration = {
+            name: this.name,
+            description: this.description
+        };
+        // An object without properties is rejected as well, such a tool takes no parameters
+        if (this.parameters?.properties && Object.keys(this.parameters.properties).length) {
+            declaration.parameters = this.parameters;
+        }
+        return declaration;
+    }
+
+    async execute(args, { signal } = {}) {
+        return await this.mcpClient.executeTool(this.name, args, { signal });
+    }
+}
+
+/**
+ * Registers every tool of an MCP client with the tool manager.
+ * Tools that are already registered under the same name are skipped.
+ * @param {ToolManager} toolManager - Tool manager used by the GeminiAgent
+ * @param {MCPClient} mcpClient - MCP client whose tools should be exposed
+ * @param {Object} [options] - Options passed to every MCPToolAdapter
+ * @returns {Array<string>} Names of the newly registered tools
+ */
+export function registerMCPTools(toolManager, mcpClient, options = {}) {
+    const registered = [];
+
+    mcpClient.getRegisteredTools().forEach((tool) => {
+        if (toolManager.tools.has(tool.name)) return;
+        toolManager.registerTool(tool.name, new MCPToolAdapter(mcpClient, tool, options));
+        registered.push(tool.name);
+    });
+
+    return registered;
+}
@@ -0,0 +1,100 @@
+/**
+ * Minimal JSON-Schema validator for tool arguments.
+ * Supports the subset used by function declarations: type, properties, required,
+ * additionalProperties, items, enum, nullable, minimum/maximum and minLength/maxLength.
+ * Types are matched case-insensitively, so both 'string' and the OpenAPI style 'STRING' work.
+ */
+
+/**
+ * Returns the JSON-Schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks whether a value matches a single schema type
+ * @param {any} value - Value to check
+ * @param {string} type - Schema type name
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+/**
+ * Validates a value against a JSON schema
+ * @param {Object} schema - JSON schema to validate against
+ * @param {any} value - Value to validate
+ * @param {string} [path='args'] - Path of the value, used in error messages
+ * @returns {Array<string>} List of validation errors, empty if the value is valid
+ */
+export function validateSchema(schema, value, path = 'args') {
+    if (!schema) return [];
+    if (value === null && schema.nullable) return [];
+
+    const errors = [];
+
+    if (schema.type) {
+        const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(t => t.toLowerCase());
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path} must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters long`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            if (properties[key]) {
+                errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not an allowed property`);
+            }
+        });
+    }
+
+    return errors;
+}
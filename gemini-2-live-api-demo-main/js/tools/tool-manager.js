@@ -1,26 +1,36 @@
 /**
  * Managing class where tools can be registered for easier use
  * Each tool must implement execute() and getDeclaration() methods.
+ * getDeclaration() returns a function declaration with a name, description and JSON-Schema `parameters`.
+ * execute(args, { signal }) receives an AbortSignal that fires when the call is cancelled or times out.
+ * Native tools that run on the server (e.g. Google Search) implement getNativeTool() instead.
  */
+import { validateSchema } from './schema-validator.js';
 
 export class ToolManager {
     /**
      * Initializes a new ToolManager instance for getting registering, getting declarations, and executing tools.
      */
-    constructor() {
+    constructor({ defaultTimeout = 30000 } = {}) {
         this.tools = new Map();
+        this.defaultTimeout = defaultTimeout;   // Per-call timeout in ms, tools can override it with a `timeout` property
+        this.inFlight = new Map();              // Call id -> { controller, cancelled } for running calls
     }
 
     /**
      * Registers a new tool in the tool registry.
      * @param {string} name - Unique identifier for the tool
-     * @param {Object} toolInstance - Instance of the tool implementing required interface
+     * @param {Object} toolInstance - Instance of the tool implementing required interface.
+     *   Tools may set `parallel = false` to run one call at a time and `timeout` (ms) to override the default timeout.
      */
     registerTool(name, toolInstance) {
         if (this.tools.has(name)) {
             console.warn(`Tool ${name} is already registered`);
             return;
         }
+        if (!toolInstance.getNativeTool && typeof toolInstance.execute !== 'function') {
+            throw new Error(`Tool ${name} must implement execute() or getNativeTool()`);
+        }
         this.tools.set(name, toolInstance);
         console.info(`Tool ${name} registered successfully`);
     }
@@ -32,41 +42,199 @@ export class ToolManager {
     getToolDeclarations() {
         const allDeclarations = [];
         
-        this.tools.forEach((tool) => {
+        this.tools.forEach((tool, name) => {
+            if (tool.getNativeTool) {
+                return;
+            }
             if (tool.getDeclaration) {
                 allDeclarations.push(tool.getDeclaration());
             } else {
-                console.warn(`Tool ${tool.name} does not have a getDeclaration method`);
+                console.warn(`Tool ${name} does not have a getDeclaration method`);
             }
         });
 
         return allDeclarations;
     }
 
+    /**
+     * Builds the `tools` list of the Live API setup message.
+     * Function declarations are grouped into one entry, native tools are appended as their own entries.
+     * @returns {Array<Object>} Tools for the setup config, e.g. [{ functionDeclarations: [...] }, { googleSearch: {} }]
+     */
+    getTools() {
+        const tools = [];
+
+        const functionDeclarations = this.getToolDeclarations();
+        if (functionDeclarations.length) {
+            tools.push({ functionDeclarations });
+        }
+
+        this.tools.forEach((tool) => {
+            if (tool.getNativeTool) {
+                tools.push(tool.getNativeTool());
+            }
+        });
+
+        return tools;
+    }
+
+    /**
+     * Checks that a function call targets a registered function tool and that its arguments match the declared schema.
+     * @param {Object} functionCall - Function call specification
+     * @returns {Object|null} Structured error to send back to the model, or null if the call is valid
+     */
+    validateToolCall({ name, args }) {
+        const tool = this.tools.get(name);
+        if (!tool || tool.getNativeTool) {
+            return {
+                code: 'UNKNOWN_TOOL',
+                message: `Unknown tool: ${name}`,
+                availableTools: this.getToolDeclarations().map(declaration => declaration.name)
+            };
+        }
+
+        const parameters = tool.getDeclaration?.().parameters;
+        const details = validateSchema(parameters, args ?? {});
+        if (details.length) {
+            return {
+                code: 'INVALID_ARGUMENTS',
+                message: `Invalid arguments for tool ${name}`,
+                details
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Runs all function calls of a tool call batch and collects one response per call id.
+     * Calls run in parallel, except calls to tools that set `parallel = false`, which run one after another.
+     * A failing or timed out call only produces an error response for its own id.
+     * @param {Array<Object>} functionCalls - Function call specifications from toolCall.functionCalls
+     * @returns {Promise<Array<Object>>} Responses in the same order as the function calls
+     */
+    async handleToolCalls(functionCalls = []) {
+        const sequentialQueues = new Map();
+
+        // Track every call up front, so calls still waiting in a sequential queue can be cancelled too
+        functionCalls.forEach(({ id }) => this.trackCall(id));
+
+        const runs = functionCalls.map((functionCall) => {
+            const tool = this.tools.get(functionCall.name);
+            if (tool?.parallel !== false) {
+                return this.handleToolCall(functionCall);
+            }
+
+            // Chain calls of the same sequential tool so they never overlap
+            const previous = sequentialQueues.get(functionCall.name) || Promise.resolve();
+            const run = previous.then(() => this.handleToolCall(functionCall));
+            sequentialQueues.set(functionCall.name, run);
+            return run;
+        });
+
+        return Promise.all(runs);
+    }
+
+    /**
+     * Registers an AbortController for a call id, reusing the existing one if the call is already tracked.
+     * @param {string} id - Function call id
+     * @returns {{controller: AbortController, cancelled: boolean}} Tracking entry of the call
+     */
+    trackCall(id) {
+        if (!this.inFlight.has(id)) {
+            this.inFlight.set(id, { controller: new AbortController(), cancelled: false });
+        }
+        return this.inFlight.get(id);
+    }
+
+    /**
+     * Aborts the running calls with the given ids, e.g. after a toolCallCancellation from the server.
+     * @param {Array<string>} ids - Function call ids to cancel
+     * @returns {Array<string>} Ids of the calls that were actually running and got aborted
+     */
+    cancelToolCalls(ids = []) {
+        const cancelled = [];
+        ids.forEach((id) => {
+            const entry = this.inFlight.get(id);
+            if (!entry) return;
+            entry.cancelled = true;
+            entry.controller.abort(new Error(`Tool call ${id} was cancelled`));
+            cancelled.push(id);
+        });
+        if (cancelled.length) {
+            console.info('Cancelled tool calls:', cancelled);
+        }
+        return cancelled;
+    }
+
     /**
      * Parses tool arguments and runs execute() method of the requested tool.
+     * Cancelled calls resolve to a response with `cancelled: true`, which must not be sent to the model.
      * @param {Object} functionCall - Function call specification
      */
     async handleToolCall(functionCall) {
         const { name, args, id } = functionCall;
         console.info(`Handling tool call: ${name}`, { args });
 
+        const validationError = this.validateToolCall(functionCall);
+        if (validationError) {
+            console.warn(`Rejected tool call: ${name}`, validationError);
+            this.inFlight.delete(id);
+            return {
+                output: null,
+                id: id,
+                error: validationError
+            };
+        }
+
         const tool = this.tools.get(name);
+        const timeout = tool.timeout ?? this.defaultTimeout;
+        const entry = this.trackCall(id);
+        const { signal } = entry.controller;
+        let timer = null;
         try {
-            const result = await tool.execute(args);
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+
+            // Reject as soon as the call is aborted, even if the tool ignores the signal
+            const abortPromise = new Promise((_, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+            });
+            timer = setTimeout(() => {
+                entry.controller.abort(new Error(`Tool ${name} timed out after ${timeout} ms`));
+            }, timeout);
+
+            const result = await Promise.race([tool.execute(args ?? {}, { signal }), abortPromise]);
             return {
-                output: result,
+                // A tool that returns nothing still answers the call
+                output: result === undefined ? null : result,
                 id: id,
                 error: null
             }
 
         } catch (error) {
+            if (entry.cancelled) {
+                console.info(`Tool call cancelled: ${name}`, { id });
+                return {
+                    output: null,
+                    id: id,
+                    error: null,
+                    cancelled: true
+                };
+            }
             console.error(`Tool execution failed: ${name}`, error);
             return {
                 output: null,
                 id: id,
-                error: error.message
+                error: {
+                    code: signal.aborted ? 'TIMEOUT' : 'EXECUTION_FAILED',
+                    message: error.message
+                }
             };
+        } finally {
+            clearTimeout(timer);
+            this.inFlight.delete(id);
         }
     }
 
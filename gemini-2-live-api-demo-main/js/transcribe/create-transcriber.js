@@ -0,0 +1,40 @@
+import { DeepgramTranscriber } from './deepgram.js';
+import { LiveApiTranscriber } from './live-api.js';
+import { WhisperTranscriber } from './whisper.js';
+
+/**
+ * Creates the transcriber of one speaker for the selected provider
+ * @param {Object} options
+ * @param {string} options.provider - 'live-api', 'deepgram', 'whisper' or 'none'
+ * @param {string} options.speaker - 'model' or 'user'
+ * @param {number} options.sampleRate - Sample rate of the speaker's audio
+ * @param {string} [options.language] - BCP-47 language of the speech, e.g. 'en-US'
+ * @param {GeminiWebsocketClient} [options.client] - Live API client, for the 'live-api' provider
+ * @param {string} [options.deepgramApiKey] - For the 'deepgram' provider
+ * @param {string} [options.whisperUrl] - Endpoint of the 'whisper' provider
+ * @param {string} [options.whisperModel] - Model name for the 'whisper' provider
+ * @returns {Transcriber|null} The transcriber, or null if the provider is 'none' or not configured
+ */
+export function createTranscriber({ provider, speaker, sampleRate, language, client, deepgramApiKey, whisperUrl, whisperModel }) {
+    switch (provider) {
+        case 'live-api':
+            return new LiveApiTranscriber({ client, speaker });
+        case 'deepgram':
+            if (!deepgramApiKey) {
+                console.warn('No Deepgram API key provided, transcription disabled');
+                return null;
+            }
+            return new DeepgramTranscriber({ apiKey: deepgramApiKey, sampleRate, language });
+        case 'whisper':
+            if (!whisperUrl) {
+                console.warn('No Whisper server URL provided, transcription disabled');
+                return null;
+            }
+            return new WhisperTranscriber({ url: whisperUrl, sampleRate, language, model: whisperModel || undefined });
+        case 'none':
+            return null;
+        default:
+            console.warn(`Unknown transcription provider "${provider}", transcription disabled`);
+            return null;
+    }
+}
@@ -1,23 +1,48 @@
+import { Transcriber, transcriptSegment } from './transcriber.js';
+
+const KEEP_ALIVE_INTERVAL = 10000;
+
 /**
  * Establishes a websocket connection to Deepgram API
  * for real-time audio transcription
  * Utilizes Free Tier of Deepgram API
  */
-export class DeepgramTranscriber {
-    constructor(apiKey, sampleRate) {
+export class DeepgramTranscriber extends Transcriber {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Deepgram API key
+     * @param {number} options.sampleRate - Sample rate of the audio that is sent
+     * @param {string} [options.language='en-US'] - BCP-47 language of the speech
+     * @param {string} [options.model='nova-2'] - Deepgram model
+     * @param {boolean} [options.interimResults=true] - Whether to emit 'interim' events while an utterance is in progress
+     */
+    constructor({ apiKey, sampleRate, language = 'en-US', model = 'nova-2', interimResults = true }) {
+        super();
         this.apiKey = apiKey;
         this.ws = null;
-        this.isConnected = false;
-        this.eventListeners = new Map();
         this.sampleRate = sampleRate;
+        this.language = language;
+        this.model = model;
+        this.interimResults = interimResults;
+        this.keepAliveInterval = null;
         console.info('DeepgramTranscriber initialized');
     }
 
-    async connect() {
-        try {
-            const url = `wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=${this.sampleRate}`;
-            console.info('Attempting to connect to Deepgram WebSocket...');
-            
+    connect() {
+        const params = new URLSearchParams({
+            model: this.model,
+            language: this.language,
+            encoding: 'linear16',
+            sample_rate: this.sampleRate,
+            channels: 1,
+            interim_results: this.interimResults,
+            punctuate: true,
+            endpointing: 800
+        });
+        const url = `wss://api.deepgram.com/v1/listen?${params}`;
+        console.info('Attempting to connect to Deepgram WebSocket...');
+
+        return new Promise((resolve, reject) => {
             // Create WebSocket with authorization in protocol
             this.ws = new WebSocket(url, ['token', this.apiKey]);
             this.ws.binaryType = 'arraybuffer';
@@ -25,44 +50,44 @@ export class DeepgramTranscriber {
             this.ws.onopen = () => {
                 this.isConnected = true;
                 console.info('WebSocket connection established');
-                
-                const config = {
-                    type: 'Configure',
-                    features: {
-                        model: 'nova-2',
-                        language: 'en-US',
-                        encoding: 'linear16',
-                        sample_rate: this.sampleRate,
-                        channels: 1,
-                        interim_results: false,
-                        punctuate: true,
-                        endpointing: 800
-                    },
-                };
-                
-                console.debug('Sending configuration:', config);
-                this.ws.send(JSON.stringify(config));
+
+                // Deepgram closes idle connections, e.g. while nobody speaks
+                this.keepAliveInterval = setInterval(() => {
+                    if (this.isConnected) {
+                        this.ws.send(JSON.stringify({ type: 'KeepAlive' }));
+                    }
+                }, KEEP_ALIVE_INTERVAL);
+
                 this.emit('connected');
+                resolve();
             };
 
             this.ws.onmessage = (event) => {
                 try {
-                    // console.debug('Received WebSocket message:', event.data);
                     const response = JSON.parse(event.data);
-                    if (response.type === 'Results') {
-                        const transcript = response.channel?.alternatives[0]?.transcript;
-
-                        if (transcript) {
-                            // console.debug('Received transcript:', transcript);
-                            this.emit('transcription', transcript);
-                        } else {
-                            // console.warn('Received Results message but no transcript found:', response);
-                        }
+                    if (response.type !== 'Results') return;
 
-                    } else {
-                        // console.debug('Received non-Results message:', response.type);
-                    }
+                    // A final result without text still matters when it ends the utterance
+                    const alternative = response.channel?.alternatives[0];
+                    if (!alternative || (!alternative.transcript && !response.speech_final)) return;
 
+                    // is_final: the text of this stretch of audio will not change anymore,
+                    // speech_final: the speaker paused, the utterance is complete
+                    const segment = transcriptSegment({
+                        text: alternative.transcript ? ` ${alternative.transcript}` : '',
+                        isFinal: Boolean(response.is_final),
+                        speechFinal: Boolean(response.speech_final),
+                        confidence: alternative.confidence ?? null,
+                        start: response.start ?? null,
+                        end: response.start != null ? response.start + response.duration : null,
+                        words: (alternative.words || []).map(({ word, punctuated_word, start, end, confidence }) => ({
+                            word: punctuated_word || word,
+                            start,
+                            end,
+                            confidence: confidence ?? null
+                        }))
+                    });
+                    this.emit(segment.isFinal ? 'transcription' : 'interim', segment);
                 } catch (error) {
                     console.error('Error processing WebSocket message:', error);
                     this.emit('error', error);
@@ -72,18 +97,18 @@ export class DeepgramTranscriber {
             this.ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
                 this.emit('error', error);
+                if (!this.isConnected) {
+                    reject(new Error('Could not connect to Deepgram'));
+                }
             };
 
             this.ws.onclose = () => {
                 console.info('WebSocket connection closed');
+                this.stopKeepAlive();
                 this.isConnected = false;
                 this.emit('disconnected');
             };
-
-        } catch (error) {
-            console.error('Error in connect():', error);
-            throw error;
-        }
+        });
     }
 
     sendAudio(audioData) {
@@ -94,25 +119,21 @@ export class DeepgramTranscriber {
     }
 
     disconnect() {
+        this.stopKeepAlive();
         if (this.ws) {
-            this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+            if (this.isConnected) {
+                this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+            }
             this.ws.close();
             this.ws = null;
             this.isConnected = false;
         }
     }
 
-    on(eventName, callback) {
-        if (!this.eventListeners.has(eventName)) {
-            this.eventListeners.set(eventName, []);
-        }
-        this.eventListeners.get(eventName).push(callback);
-    }
-
-    emit(eventName, data) {
-        const listeners = this.eventListeners.get(eventName);
-        if (listeners) {
-            listeners.forEach(callback => callback(data));
+    stopKeepAlive() {
+        if (this.keepAliveInterval) {
+            clearInterval(this.keepAliveInterval);
+            this.keepAliveInterval = null;
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,36 @@
+import { Transcriber, transcriptSegment } from './transcriber.js';
+
+/**
+ * Transcripts from the Live API itself. The audio is transcribed by the server when the setup
+ * has outputAudioTranscription/inputAudioTranscription, so nothing has to be sent here: this
+ * transcriber only relays the transcription events of the GeminiWebsocketClient.
+ */
+export class LiveApiTranscriber extends Transcriber {
+    /**
+     * @param {Object} options
+     * @param {GeminiWebsocketClient} options.client - Client of the agent's Live API session
+     * @param {string} options.speaker - 'model' or 'user'
+     */
+    constructor({ client, speaker }) {
+        super();
+        this.client = client;
+        this.eventName = speaker === 'user' ? 'user_transcription' : 'transcription';
+        this.onTranscription = (text) => this.emit('transcription', transcriptSegment({ text }));
+    }
+
+    async connect() {
+        if (this.isConnected) return;
+        this.client.on(this.eventName, this.onTranscription);
+        this.isConnected = true;
+        this.emit('connected');
+    }
+
+    sendAudio() {}
+
+    disconnect() {
+        if (!this.isConnected) return;
+        this.client.off(this.eventName, this.onTranscription);
+        this.isConnected = false;
+        this.emit('disconnected');
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * @typedef {Object} TranscriptSegment
+ * @property {string} text - Transcribed text, including leading whitespace
+ * @property {boolean} isFinal - False for interim results, whose text may still change
+ * @property {boolean} speechFinal - True when the segment ends an utterance, i.e. the speaker paused
+ * @property {number|null} confidence - Confidence between 0 and 1, null if the provider has none
+ * @property {number|null} start - Start in seconds since the transcriber connected, null if unknown
+ * @property {number|null} end - End in seconds since the transcriber connected, null if unknown
+ * @property {Array<{word: string, start: number, end: number, confidence: number|null}>} words - Word timings, empty if the provider has none
+ */
+
+/**
+ * Creates a TranscriptSegment, for providers that only know some of its properties
+ * @param {Partial<TranscriptSegment>} segment - Known properties, at least the text
+ * @returns {TranscriptSegment} The segment
+ */
+export function transcriptSegment({ text, isFinal = true, speechFinal = false, confidence = null, start = null, end = null, words = [] }) {
+    return { text, isFinal, speechFinal, confidence, start, end, words };
+}
+
+/**
+ * Common interface of the speech transcribers used by GeminiAgent.
+ * A transcriber transcribes one speaker, the model or the user:
+ * - connect() resolves once it is ready to receive audio
+ * - sendAudio(data) takes 16-bit PCM chunks at the sample rate it was created with
+ * - disconnect() stops it, it can be connected again afterwards
+ * Events:
+ * - 'transcription': a final TranscriptSegment, its text is appended to the speaker's transcript as is,
+ *   so it carries its own leading whitespace
+ * - 'interim': a preliminary TranscriptSegment of the speech in progress, replaced by the next
+ *   'interim' or 'transcription'
+ * - 'connected', 'disconnected', 'error'
+ */
+export class Transcriber {
+    constructor() {
+        this.isConnected = false;
+        this.eventListeners = new Map();
+    }
+
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    sendAudio(audioData) {
+        throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+    }
+
+    disconnect() {
+        throw new Error(`${this.constructor.name} does not implement disconnect()`);
+    }
+
+    on(eventName, callback) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(callback);
+    }
+
+    emit(eventName, data) {
+        const listeners = this.eventListeners.get(eventName);
+        if (listeners) {
+            listeners.forEach(callback => callback(data));
+        }
+    }
+}
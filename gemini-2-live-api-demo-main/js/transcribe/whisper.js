@@ -0,0 +1,232 @@
+import { Transcriber, transcriptSegment } from './transcriber.js';
+import { pcm16ToWav } from '../utils/utils.js';
+
+const SILENCE_LEVEL = 0.01;         // RMS below which a chunk counts as silence
+const PAUSE_DURATION = 0.6;         // Seconds of silence that end a segment
+const MIN_SEGMENT_DURATION = 1;
+const MAX_SEGMENT_DURATION = 15;
+
+/**
+ * Transcribes with a local Whisper-compatible server, e.g. faster-whisper-server, whisper.cpp or LocalAI.
+ * Two kinds of endpoints are supported, told apart by the URL scheme:
+ * - http(s)://…/v1/audio/transcriptions (OpenAI-compatible): the audio is cut into segments at pauses
+ *   and each segment is posted as a WAV file, asking for a verbose_json response with word timestamps
+ * - ws(s)://…: raw 16-bit PCM is streamed over the websocket (with language, model and sample_rate as
+ *   query parameters) and the server answers with JSON messages { text, is_final, start, end, words },
+ *   messages with is_final set to false or type 'partial' are interim results
+ */
+export class WhisperTranscriber extends Transcriber {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Transcription endpoint
+     * @param {number} options.sampleRate - Sample rate of the audio that is sent
+     * @param {string} [options.language='en-US'] - Language of the speech, Whisper only uses the language part
+     * @param {string} [options.model='whisper-1'] - Model name passed to the server
+     */
+    constructor({ url, sampleRate, language = 'en-US', model = 'whisper-1' }) {
+        super();
+        if (!url) throw new Error('Whisper server URL is required');
+        this.url = url;
+        this.sampleRate = sampleRate;
+        this.language = language.split('-')[0];
+        this.model = model;
+        this.streaming = /^wss?:/i.test(url);
+        this.ws = null;
+
+        // Segment being collected in HTTP mode
+        this.samplesReceived = 0;
+        this.segmentStart = 0;          // Seconds since connect() at which the segment starts
+        this.segment = [];
+        this.segmentDuration = 0;
+        this.silenceDuration = 0;
+        this.segmentHasSpeech = false;
+        this.requestQueue = Promise.resolve();
+        console.info(`WhisperTranscriber initialized (${this.streaming ? 'websocket' : 'HTTP'})`);
+    }
+
+    async connect() {
+        this.samplesReceived = 0;
+        this.segmentStart = 0;
+        if (!this.streaming) {
+            this.isConnected = true;
+            this.emit('connected');
+            return;
+        }
+
+        const url = new URL(this.url);
+        url.searchParams.set('language', this.language);
+        url.searchParams.set('model', this.model);
+        url.searchParams.set('sample_rate', this.sampleRate);
+
+        await new Promise((resolve, reject) => {
+            this.ws = new WebSocket(url);
+            this.ws.binaryType = 'arraybuffer';
+
+            this.ws.onopen = () => {
+                this.isConnected = true;
+                this.emit('connected');
+                resolve();
+            };
+
+            this.ws.onmessage = (event) => {
+                try {
+                    const message = JSON.parse(event.data);
+                    const text = message.text?.trim();
+                    if (!text) return;
+
+                    const segment = transcriptSegment({
+                        text: ` ${text}`,
+                        isFinal: message.is_final !== false && message.type !== 'partial',
+                        speechFinal: Boolean(message.speech_final),
+                        confidence: message.confidence ?? null,
+                        start: message.start ?? null,
+                        end: message.end ?? null,
+                        words: parseWords(message.words)
+                    });
+                    this.emit(segment.isFinal ? 'transcription' : 'interim', segment);
+                } catch (error) {
+                    console.error('Error processing Whisper message:', error);
+                    this.emit('error', error);
+                }
+            };
+
+            this.ws.onerror = (error) => {
+                console.error('Whisper WebSocket error:', error);
+                this.emit('error', error);
+                if (!this.isConnected) {
+                    reject(new Error(`Could not connect to the Whisper server at ${this.url}`));
+                }
+            };
+
+            this.ws.onclose = () => {
+                this.isConnected = false;
+                this.emit('disconnected');
+            };
+        });
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected) {
+            throw new Error('Whisper transcriber is not connected');
+        }
+        if (this.streaming) {
+            this.ws.send(audioData);
+            return;
+        }
+
+        const chunk = new Uint8Array(audioData).slice();
+        const samples = new Int16Array(chunk.buffer, 0, chunk.byteLength >> 1);
+        const duration = samples.length / this.sampleRate;
+        this.samplesReceived += samples.length;
+        const silent = rms(samples) < SILENCE_LEVEL;
+
+        this.segment.push(chunk);
+        this.segmentDuration += duration;
+        this.silenceDuration = silent ? this.silenceDuration + duration : 0;
+        this.segmentHasSpeech ||= !silent;
+
+        const paused = this.segmentDuration >= MIN_SEGMENT_DURATION && this.silenceDuration >= PAUSE_DURATION;
+        if (paused || this.segmentDuration >= MAX_SEGMENT_DURATION) {
+            this.flushSegment();
+        }
+    }
+
+    /**
+     * Posts the collected segment for transcription, segments without speech are dropped
+     * because Whisper tends to hallucinate text for silence
+     */
+    flushSegment() {
+        const { segment, segmentHasSpeech, segmentStart } = this;
+        const segmentEnd = this.samplesReceived / this.sampleRate;
+        this.segmentStart = segmentEnd;
+        this.segment = [];
+        this.segmentDuration = 0;
+        this.silenceDuration = 0;
+        this.segmentHasSpeech = false;
+        if (!segmentHasSpeech) return;
+
+        const pcm = new Uint8Array(segment.reduce((length, chunk) => length + chunk.byteLength, 0));
+        let offset = 0;
+        segment.forEach((chunk) => {
+            pcm.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+
+        const form = new FormData();
+        form.append('file', pcm16ToWav(pcm, this.sampleRate), 'speech.wav');
+        form.append('model', this.model);
+        form.append('language', this.language);
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'word');
+
+        // Keep the transcripts in order, even if a later request returns first
+        const request = fetch(this.url, { method: 'POST', body: form });
+        this.requestQueue = this.requestQueue
+            .then(async () => {
+                const response = await request;
+                if (!response.ok) {
+                    throw new Error(`Whisper server returned ${response.status} ${response.statusText}`);
+                }
+                const result = await response.json();
+                const text = result.text?.trim();
+                if (!text) return;
+
+                // Timestamps of the response are relative to the segment
+                const words = parseWords(result.words ?? result.segments?.flatMap(({ words }) => words || []))
+                    .map(word => ({ ...word, start: segmentStart + word.start, end: segmentStart + word.end }));
+                const logprobs = (result.segments || []).map(({ avg_logprob }) => avg_logprob).filter(Number.isFinite);
+                this.emit('transcription', transcriptSegment({
+                    text: ` ${text}`,
+                    speechFinal: true,
+                    confidence: logprobs.length ? Math.exp(logprobs.reduce((a, b) => a + b, 0) / logprobs.length) : null,
+                    start: segmentStart,
+                    end: segmentEnd,
+                    words
+                }));
+            })
+            .catch((error) => {
+                console.error('Whisper transcription failed:', error);
+                this.emit('error', error);
+            });
+    }
+
+    disconnect() {
+        if (this.streaming) {
+            if (this.ws) {
+                this.ws.close();
+                this.ws = null;
+            }
+        } else if (this.isConnected) {
+            this.flushSegment();
+            this.emit('disconnected');
+        }
+        this.isConnected = false;
+    }
+}
+
+/**
+ * @param {Int16Array} samples - PCM samples
+ * @returns {number} Root mean square level between 0 and 1
+ */
+function rms(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const value = samples[i] / 32768;
+        sum += value * value;
+    }
+    return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+/**
+ * Normalizes the word timestamps of a Whisper response
+ * @param {Array<Object>} [words] - Words as { word, start, end, probability|confidence }
+ * @returns {Array<{word: string, start: number, end: number, confidence: number|null}>} The words
+ */
+function parseWords(words) {
+    return (words || []).map(({ word, start, end, probability, confidence }) => ({
+        word: word.trim(),
+        start,
+        end,
+        confidence: probability ?? confidence ?? null
+    }));
+}
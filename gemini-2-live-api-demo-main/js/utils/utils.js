@@ -59,4 +59,36 @@ export function arrayBufferToBase64(buffer) {
     } catch (error) {
         console.error('Failed to convert array buffer to base64: ' + error.message);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Wraps 16-bit PCM audio in a WAV file.
+ * @param {Uint8Array} pcmData - Little-endian 16-bit PCM samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [channels=1] - Number of interleaved channels
+ * @returns {Blob} WAV file
+ */
+export function pcm16ToWav(pcmData, sampleRate, channels = 1) {
+    const header = new DataView(new ArrayBuffer(44));
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            header.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    header.setUint32(4, 36 + pcmData.byteLength, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    header.setUint32(16, 16, true);                         // Size of the fmt chunk
+    header.setUint16(20, 1, true);                          // PCM
+    header.setUint16(22, channels, true);
+    header.setUint32(24, sampleRate, true);
+    header.setUint32(28, sampleRate * channels * 2, true);  // Byte rate
+    header.setUint16(32, channels * 2, true);               // Block align
+    header.setUint16(34, 16, true);                         // Bits per sample
+    writeString(36, 'data');
+    header.setUint32(40, pcmData.byteLength, true);
+
+    return new Blob([header, pcmData], { type: 'audio/wav' });
+}
@@ -43,6 +43,7 @@ export class Veo2Service {
      * @param {string} options.aspectRatio - Aspect ratio of the video (e.g., "16:9")
      * @param {number} options.duration - Duration of the video in seconds
      * @param {boolean} options.enhancePrompt - Whether to enhance the prompt with AI
+     * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when the model cancels the tool call
      * @returns {Promise<Object>} Response from the API with video URL
      * @throws {Error} If access token is not configured or API request fails
      */
@@ -101,7 +102,8 @@ export class Veo2Service {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${this.accessToken}`
                 },
-                body: JSON.stringify(payload)
+                body: JSON.stringify(payload),
+                signal: options.signal
             });
             
             // Handle API errors with specific error messages
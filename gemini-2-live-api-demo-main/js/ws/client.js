@@ -7,14 +7,62 @@
 import { EventEmitter } from 'https://cdn.skypack.dev/eventemitter3';
 import { blobToJSON, base64ToArrayBuffer } from '../utils/utils.js';
 
+// Meaning of the close codes the Live API uses. Codes marked as not retryable are caused by the
+// request itself (e.g. an invalid API key, model or setup), so reconnecting would fail the same way.
+const CLOSE_CODES = {
+    1000: { description: 'Connection closed normally', retryable: true },
+    1001: { description: 'Server is going away', retryable: true },
+    1006: { description: 'Connection lost', retryable: true },
+    1007: { description: 'Invalid request payload', retryable: false },
+    1008: { description: 'Request rejected by policy (check the API key, model and quota)', retryable: false },
+    1011: { description: 'Internal server error', retryable: true },
+    1013: { description: 'Server is overloaded, try again later', retryable: true }
+};
+
+/**
+ * Describes a close event of the Live API websocket
+ * @param {CloseEvent} event - The close event
+ * @returns {{code: number, reason: string, description: string, retryable: boolean}} Close details
+ */
+function describeClose(event) {
+    const known = CLOSE_CODES[event.code] || { description: `Connection closed with code ${event.code}`, retryable: true };
+    return { code: event.code, reason: event.reason || '', ...known };
+}
+
+/**
+ * Parses a protobuf Duration as sent in goAway.timeLeft (e.g. "10s" or "1.5s")
+ * @param {string} duration - Duration string
+ * @returns {number|null} Milliseconds, or null if the duration is missing or invalid
+ */
+function parseDuration(duration) {
+    const seconds = parseFloat(duration);
+    return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+}
+
 export class GeminiWebsocketClient extends EventEmitter {
     /**
      * Creates a new GeminiWebsocketClient with the given configuration.
      * @param {string} name - Name for the websocket client.
      * @param {string} url - URL for the Gemini API that contains the API key at the end.
      * @param {Object} config - Configuration object for the Gemini API.
+     * @param {Object} [options] - Reconnection options
+     * @param {number} [options.maxReconnectAttempts=5] - Attempts before giving up on a dropped connection
+     * @param {number} [options.reconnectBaseDelay=1000] - Delay in ms before the first attempt, doubled on every retry
+     * @param {number} [options.maxReconnectDelay=30000] - Upper bound in ms for the backoff delay
+     * @param {number} [options.maxReplayTurns=10] - Number of recent conversation turns replayed after reconnecting
+     * @param {Array<Object>} [options.turnHistory] - Turns of an earlier connection to continue from, updated in place
+     * @param {Function} [options.webSocketFactory] - Creates the socket for a URL, e.g. a ReplayWebSocket for offline playback
+     * @param {number} [options.setupTimeout=15000] - Time in ms to wait for setupComplete before giving up on a connection
      */
-    constructor(name, url, config) {
+    constructor(name, url, config, {
+        maxReconnectAttempts = 5,
+        reconnectBaseDelay = 1000,
+        maxReconnectDelay = 30000,
+        maxReplayTurns = 10,
+        turnHistory = [],
+        webSocketFactory = (url) => new WebSocket(url),
+        setupTimeout = 15000
+    } = {}) {
         super();
         this.name = name || 'WebSocketClient';
         this.url = url || `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=${apiKey}`;
@@ -22,6 +70,26 @@ export class GeminiWebsocketClient extends EventEmitter {
         this.config = config;
         this.isConnecting = false;
         this.connectionPromise = null;
+        this.webSocketFactory = webSocketFactory;
+        this.setupTimeout = setupTimeout;
+
+        // Reconnection state
+        this.maxReconnectAttempts = maxReconnectAttempts;
+        this.reconnectBaseDelay = reconnectBaseDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.isReconnecting = false;
+        this.shouldReconnect = false;       // Only true between connect() and disconnect()
+        this.resumptionHandle = null;       // Latest handle from sessionResumptionUpdate, if the server sends one
+        this.isHandingOver = false;         // True while a new session is opened after a goAway
+
+        // Recent conversation turns, replayed as clientContent after a reconnect
+        this.maxReplayTurns = maxReplayTurns;
+        this.turnHistory = turnHistory;
+        this.pendingModelText = '';
+        this.pendingModelTranscript = '';   // Native transcripts of the current turn, recorded when the model only spoke
+        this.pendingUserTranscript = '';
     }
 
     /**
@@ -39,44 +107,267 @@ export class GeminiWebsocketClient extends EventEmitter {
 
         console.info('🔗 Establishing WebSocket connection...');
         this.isConnecting = true;
-        this.connectionPromise = new Promise((resolve, reject) => {
-            const ws = new WebSocket(this.url);
+        this.shouldReconnect = true;
+        this.connectionPromise = this.openSocket().catch((error) => {
+            this.isConnecting = false;
+            this.connectionPromise = null;
+            this.shouldReconnect = false;
+            throw error;
+        });
+
+        return this.connectionPromise;
+    }
+
+    /**
+     * Opens a new WebSocket, sends the setup message and waits for the server's setupComplete.
+     * Used for the initial connection, for every reconnection attempt and for handovers after a goAway.
+     * The socket only becomes the active one once setup is complete, so a handover keeps using the
+     * previous socket until the new session is ready.
+     * @returns {Promise} Resolves when the server confirmed the setup
+     */
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            const ws = this.webSocketFactory(this.url);
+            let opened = false;
+            let setupDone = false;
+            let setupTimer = null;
+
+            const fail = (error) => {
+                clearTimeout(setupTimer);
+                this.off('setup_complete', onSetupComplete);
+                reject(error);
+            };
+
+            // Every socket being set up waits for the setupComplete of its own session
+            const onSetupComplete = (setupComplete, socket) => {
+                if (socket !== ws) return;
+                this.off('setup_complete', onSetupComplete);
+                setupDone = true;
+                clearTimeout(setupTimer);
+                if (!this.shouldReconnect) {
+                    // disconnect() was called while the setup was pending
+                    ws.close();
+                    reject(new Error(`${this.name} was disconnected during setup`));
+                    return;
+                }
+                this.ws = ws;
+                this.isConnecting = false;
+                console.info(`${this.name} setup complete`);
+                resolve();
+            };
 
             // Send setup message upon successful connection
             ws.addEventListener('open', () => {
                 console.info('🔗 Successfully connected to websocket');
-                this.ws = ws;
-                this.isConnecting = false;
+                opened = true;
 
-                // Configure
-                this.sendJSON({ setup: this.config });
-                console.debug("Setup message with the following configuration was sent:", this.config);
-                resolve();
+                // Configure, resuming the previous server-side session when we hold a handle for it.
+                // An empty sessionResumption asks the server to send sessionResumptionUpdate handles.
+                const sessionResumption = this.resumptionHandle ? { handle: this.resumptionHandle } : {};
+                const setup = { ...this.config, sessionResumption };
+                this.on('setup_complete', onSetupComplete);
+                this.sendJSON({ setup }, ws).catch(fail);
+                console.debug("Setup message with the following configuration was sent:", setup);
+
+                setupTimer = setTimeout(() => {
+                    fail(new Error(`${this.name} did not receive setupComplete within ${this.setupTimeout} ms`));
+                    ws.close();
+                }, this.setupTimeout);
             });
 
             // Handle connection errors
             ws.addEventListener('error', (error) => {
-                this.disconnect(ws);
+                if (opened) {
+                    // A close event follows, which rejects a pending setup or takes care of reconnecting
+                    console.error(`${this.name} websocket error`, error);
+                    return;
+                }
                 const reason = error.reason || 'Unknown';
                 const message = `Could not connect to "${this.url}. Reason: ${reason}"`;
                 console.error(message, error);
-                reject(error);
+                fail(error);
+            });
+
+            // Handle dropped connections
+            ws.addEventListener('close', (event) => {
+                const info = describeClose(event);
+
+                if (!setupDone) {
+                    if (opened && event.code !== 1000) {
+                        this.emit('server_error', info);
+                    }
+                    const reason = event.reason ? `: ${event.reason}` : '';
+                    fail(Object.assign(new Error(`Websocket closed before setup completed (code ${event.code}${reason})`), info));
+                    return;
+                }
+                // A socket replaced by a handover or reconnect
+                if (this.ws !== ws) return;
+
+                this.ws = null;
+                const reason = event.reason ? `: ${event.reason}` : '';
+                console.warn(`${this.name} websocket closed (code ${event.code}${reason})`);
+                this.emit('close', info);
+
+                if (event.code !== 1000) {
+                    this.emit('server_error', info);
+                }
+                if (!this.shouldReconnect) return;
+
+                if (info.retryable) {
+                    this.scheduleReconnect();
+                } else {
+                    // Reconnecting with the same setup would be rejected again
+                    this.shouldReconnect = false;
+                    this.connectionPromise = null;
+                }
             });
 
             // Listen for incoming messages, expecting Blob data for binary streams
             ws.addEventListener('message', async (event) => {
                 if (event.data instanceof Blob) {
-                    this.receive(event.data);
+                    this.receive(event.data, ws);
                 } else {
                     console.error('Non-blob message received', event);
                 }
             });
         });
+    }
 
-        return this.connectionPromise;
+    /**
+     * Opens a new session in the background after the server announced it will close the current one.
+     * The current socket keeps streaming until the new session is set up, then it is closed.
+     * If the handover fails, the regular reconnection takes over once the server drops the connection.
+     * @param {number|null} timeLeft - Milliseconds until the server closes the current connection
+     */
+    async handover(timeLeft) {
+        if (this.isHandingOver || this.isReconnecting || !this.shouldReconnect) return;
+
+        this.isHandingOver = true;
+        const previous = this.ws;
+        console.info(`${this.name} handing over to a new session (${timeLeft ?? 'unknown'} ms left)`);
+
+        try {
+            this.connectionPromise = this.openSocket();
+            await this.connectionPromise;
+            if (!this.resumptionHandle) {
+                await this.replayTurns();
+            }
+            previous?.close(1000, 'Session handed over');
+            console.info(`${this.name} handover complete`);
+            this.emit('handover_complete');
+        } catch (error) {
+            console.warn(`${this.name} handover failed`, error);
+        } finally {
+            this.isHandingOver = false;
+        }
+    }
+
+    /**
+     * Moves to a new session that is set up with the current config, e.g. after the turn detection
+     * changed. The conversation continues there with the replayed turns.
+     */
+    async reconfigure() {
+        this.resumptionHandle = null;
+        await this.handover();
+    }
+
+    /**
+     * Schedules the next reconnection attempt with exponential backoff.
+     * Emits 'reconnecting' before every attempt, 'reconnected' once the session is restored
+     * and 'reconnect_failed' when all attempts are exhausted.
+     */
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.error(`${this.name} could not reconnect after ${this.reconnectAttempts} attempts`);
+            this.isReconnecting = false;
+            this.shouldReconnect = false;
+            this.reconnectAttempts = 0;
+            this.connectionPromise = null;
+            this.emit('reconnect_failed');
+            return;
+        }
+
+        const delay = Math.min(this.reconnectBaseDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+        this.reconnectAttempts++;
+        this.isReconnecting = true;
+        console.info(`${this.name} reconnecting in ${delay} ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, maxAttempts: this.maxReconnectAttempts, delay });
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (!this.shouldReconnect) return;
+
+            try {
+                this.connectionPromise = this.openSocket();
+                await this.connectionPromise;
+                if (!this.resumptionHandle) {
+                    await this.replayTurns();
+                }
+                this.reconnectAttempts = 0;
+                this.isReconnecting = false;
+                console.info(`${this.name} reconnected`);
+                this.emit('reconnected');
+            } catch (error) {
+                console.warn(`${this.name} reconnection attempt failed`, error);
+                if (error.retryable === false) {
+                    this.isReconnecting = false;
+                    this.shouldReconnect = false;
+                    this.reconnectAttempts = 0;
+                    this.connectionPromise = null;
+                    this.emit('reconnect_failed');
+                } else if (this.shouldReconnect) {
+                    this.scheduleReconnect();
+                }
+            }
+        }, delay);
+    }
+
+    /**
+     * Re-sends the recent conversation turns so the new session keeps its context.
+     * The turns are sent without completing the turn, so the model does not answer them again.
+     */
+    async replayTurns() {
+        if (!this.turnHistory.length) return;
+
+        await this.sendJSON({ clientContent: { turns: this.turnHistory, turnComplete: false } });
+        console.debug(`Replayed ${this.turnHistory.length} conversation turns to ${this.name}`);
+    }
+
+    /**
+     * Remembers a conversation turn for replaying after a reconnect.
+     * @param {string} role - Either 'user' or 'model'
+     * @param {string} text - Text of the turn
+     */
+    recordTurn(role, text) {
+        if (!text || !text.trim()) return;
+
+        this.turnHistory.push({ role, parts: [{ text }] });
+        if (this.turnHistory.length > this.maxReplayTurns) {
+            this.turnHistory.splice(0, this.turnHistory.length - this.maxReplayTurns);
+        }
+    }
+
+    /**
+     * Records the model turn that just ended, preceded by the user's spoken turn if it was transcribed.
+     * Text parts take precedence over the transcript of the model's speech.
+     */
+    recordModelTurn() {
+        this.recordTurn('user', this.pendingUserTranscript.trim());
+        this.recordTurn('model', this.pendingModelText || this.pendingModelTranscript.trim());
+        this.pendingUserTranscript = '';
+        this.pendingModelText = '';
+        this.pendingModelTranscript = '';
     }
 
     disconnect() {
+        this.shouldReconnect = false;
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
         if (this.ws) {
             this.ws.close();
             this.ws = null;
@@ -90,9 +381,38 @@ export class GeminiWebsocketClient extends EventEmitter {
      * Processes incoming WebSocket messages.
      * Handles various response types including tool calls, setup completion,
      * and content delivery (text/audio).
+     * @param {Blob} blob - The message
+     * @param {WebSocket} ws - Socket the message arrived on
      */
-    async receive(blob) {
+    async receive(blob, ws) {
         const response = await blobToJSON(blob);
+
+        if (response.setupComplete) {
+            this.emit('setup_complete', response.setupComplete, ws);
+            return;
+        }
+
+        // The server closes the connection soon, move to a new session before it does
+        if (response.goAway) {
+            const timeLeft = parseDuration(response.goAway.timeLeft);
+            console.warn(`${this.name} received goAway, ${timeLeft ?? 'unknown'} ms left`);
+            this.emit('go_away', { timeLeft });
+            this.handover(timeLeft);
+            return;
+        }
+
+        // Usage metadata may arrive on its own or next to server content
+        if (response.usageMetadata) {
+            this.emit('usage_metadata', response.usageMetadata);
+            if (!response.serverContent) return;
+        }
+
+        // Keep the latest resumption handle so a reconnect can continue the same session
+        if (response.sessionResumptionUpdate) {
+            const { resumable, newHandle } = response.sessionResumptionUpdate;
+            this.resumptionHandle = resumable && newHandle ? newHandle : null;
+            return;
+        }
         
         // Handle tool call responses
         if (response.toolCall) {
@@ -111,13 +431,29 @@ export class GeminiWebsocketClient extends EventEmitter {
         // Process server content (text/audio/interruptions)
         if (response.serverContent) {
             const { serverContent } = response;
+            // Native transcripts, requested with inputAudioTranscription/outputAudioTranscription in the setup.
+            // They arrive in small chunks that carry their own whitespace.
+            if (serverContent.inputTranscription?.text) {
+                this.pendingUserTranscript += serverContent.inputTranscription.text;
+                this.emit('user_transcription', serverContent.inputTranscription.text);
+            }
+            if (serverContent.outputTranscription?.text) {
+                this.pendingModelTranscript += serverContent.outputTranscription.text;
+                this.emit('transcription', serverContent.outputTranscription.text);
+            }
             if (serverContent.interrupted) {
                 console.debug(`${this.name} is interrupted`);
+                this.recordModelTurn();
                 this.emit('interrupted');
                 return;
             }
+            // Sources of answers grounded with Google Search
+            if (serverContent.groundingMetadata) {
+                this.emit('grounding', serverContent.groundingMetadata);
+            }
             if (serverContent.turnComplete) {
                 console.debug(`${this.name} has completed its turn`);
+                this.recordModelTurn();
                 this.emit('turn_complete');
             }
             if (serverContent.modelTurn) {
@@ -144,6 +480,7 @@ export class GeminiWebsocketClient extends EventEmitter {
 
                 // Emit remaining content
                 if (otherParts.length) {
+                    this.pendingModelText += otherParts.filter((p) => p.text).map((p) => p.text).join('');
                     this.emit('content', { modelTurn: { parts: otherParts } });
                     console.debug(`${this.name} sent:`, otherParts);
                 }
@@ -164,6 +501,23 @@ export class GeminiWebsocketClient extends EventEmitter {
         console.debug(`Sending audio chunk to ${this.name}.`);
     }
 
+    /**
+     * Marks the start of the user's speech, for sessions where automatic activity detection is
+     * disabled in the setup and the client decides when the user takes a turn
+     */
+    async sendActivityStart() {
+        await this.sendJSON({ realtimeInput: { activityStart: {} } });
+        console.debug(`Activity start sent to ${this.name}.`);
+    }
+
+    /**
+     * Marks the end of the user's speech, the model responds afterwards
+     */
+    async sendActivityEnd() {
+        await this.sendJSON({ realtimeInput: { activityEnd: {} } });
+        console.debug(`Activity end sent to ${this.name}.`);
+    }
+
     /**
      * Sends encoded image to the Gemini API.
      * 
@@ -192,50 +546,92 @@ export class GeminiWebsocketClient extends EventEmitter {
             } 
         };
         await this.sendJSON(formattedText);
+        this.recordTurn('user', text);
         console.debug(`Text sent to ${this.name}:`, text);
     }
+
+    /**
+     * Sends an image and a text message as one user turn, e.g. an annotated snapshot and a question
+     * about it. Unlike sendImage() the image is part of the conversation, not of the video stream.
+     * 
+     * @param {string} base64image - The base64 encoded JPEG image.
+     * @param {string} text - The text to send with the image.
+     */
+    async sendImageTurn(base64image, text) {
+        await this.sendJSON({
+            clientContent: {
+                turns: [{
+                    role: 'user',
+                    parts: [
+                        { inlineData: { mimeType: 'image/jpeg', data: base64image } },
+                        { text }
+                    ]
+                }],
+                turnComplete: true
+            }
+        });
+        // Only text is replayed after a reconnect
+        this.recordTurn('user', `[Annotated image] ${text}`);
+        console.debug(`Image turn with a size of ${Math.round(base64image.length/1024)} KB sent to ${this.name}:`, text);
+    }
+
     /**
      * Sends the result of the tool call to Gemini.
      * @param {Object} toolResponse - The response object
      * @param {any} toolResponse.output - The output of the tool execution (string, number, object, etc.)
-     * @param {string} toolResponse.id - The identifier of the tool call from toolCall.functionCalls[0].id
-     * @param {string} toolResponse.error - Send the output as null and the error message if the tool call failed (optional)
+     * @param {string} toolResponse.id - The identifier of the tool call from toolCall.functionCalls[i].id
+     * @param {string|Object} toolResponse.error - Send the output as null and the error message or structured error if the tool call failed (optional)
      */
     async sendToolResponse(toolResponse) {
-        if (!toolResponse || !toolResponse.id) {
-            throw new Error('Tool response must include an id');
-        }
+        await this.sendToolResponses([toolResponse]);
+    }
 
-        const { output, id, error } = toolResponse;
-        let result = [];
+    /**
+     * Sends the results of all function calls of a tool call in a single toolResponse message.
+     * Every response is checked on its own, so one malformed response does not hold back the others:
+     * a response without output is answered with an error, one without id cannot be answered and is left out.
+     * @param {Array<Object>} toolResponses - Response objects as described in sendToolResponse()
+     */
+    async sendToolResponses(toolResponses) {
+        const functionResponses = [];
+        toolResponses.forEach((toolResponse) => {
+            if (!toolResponse || !toolResponse.id) {
+                console.error(`Tool response without an id cannot be sent to ${this.name}:`, toolResponse);
+                return;
+            }
 
-        if (error) {
-            result = [{
-                response: { error: error },
-                id
-            }];
-        } else if (output === undefined) {
-            throw new Error('Tool response must include an output when no error is provided');
-        } else {
-            result = [{
-                response: { output: output },
-                id
-            }];
-        }
+            const { output, id, error } = toolResponse;
+            if (error) {
+                functionResponses.push({ response: { error: error }, id });
+            } else if (output === undefined) {
+                functionResponses.push({
+                    response: { error: { code: 'INVALID_RESPONSE', message: 'The tool returned no output' } },
+                    id
+                });
+            } else {
+                functionResponses.push({ response: { output: output }, id });
+            }
+        });
+        if (!functionResponses.length) return;
 
-        await this.sendJSON({ toolResponse: {functionResponses: result} });
-        console.debug(`Tool response sent to ${this.name}:`, toolResponse);
+        await this.sendJSON({ toolResponse: { functionResponses } });
+        console.debug(`Tool responses sent to ${this.name}:`, toolResponses);
     }
 
     /**
      * Sends a JSON object to the Gemini API.
      * 
      * @param {Object} json - The JSON object to send.
+     * @param {WebSocket} [ws] - Socket to send on, defaults to the active one. Used for the setup of a new socket.
      */
 
-    async sendJSON(json) {        
+    async sendJSON(json, ws = this.ws) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            const state = this.isReconnecting ? 'is reconnecting' : 'is not connected';
+            throw new Error(`Failed to send message: ${this.name} ${state}`);
+        }
         try {
-            this.ws.send(JSON.stringify(json));
+            ws.send(JSON.stringify(json));
             // console.debug(`JSON Object was sent to ${this.name}:`, json);
         } catch (error) {
             throw new Error(`Failed to send ${json} to ${this.name}:` + error);
@@ -0,0 +1,154 @@
+/**
+ * Fake WebSocket that plays back a session recorded by SessionRecorder.
+ * Inbound frames are delivered as Blob messages, just like the real Live API does.
+ * Playback is deterministic: an inbound frame is only released once the client has sent
+ * as many frames as it had sent at that point of the recording, then after the recorded gap.
+ * Realtime input (microphone audio, camera frames) is not counted, since it depends on the devices.
+ */
+import { SESSION_FORMAT_VERSION } from './session-recorder.js';
+
+/**
+ * Parses a JSONL session file
+ * @param {string} text - Session file contents
+ * @returns {{header: Object, frames: Array<Object>, media: Map<string, Object>}} Parsed session
+ */
+export function parseSession(text) {
+    const session = { header: null, frames: [], media: new Map() };
+
+    text.split('\n').filter(line => line.trim()).forEach((line) => {
+        const entry = JSON.parse(line);
+        if (entry.type === 'session') {
+            session.header = entry;
+        } else if (entry.type === 'frame') {
+            session.frames.push(entry);
+        } else if (entry.type === 'media') {
+            session.media.set(entry.id, { mimeType: entry.mimeType, data: entry.data });
+        }
+    });
+
+    if (!session.header) {
+        throw new Error('Not a session file: missing session header');
+    }
+    if (session.header.version !== SESSION_FORMAT_VERSION) {
+        console.warn(`Session file version ${session.header.version} differs from supported version ${SESSION_FORMAT_VERSION}`);
+    }
+    return session;
+}
+
+/**
+ * Puts media payloads back into a recorded message. Missing media becomes an empty payload.
+ * @param {any} value - Recorded message or part of it
+ * @param {Map<string, Object>} media - Media entries by id
+ * @returns {any} Message with the original payloads
+ */
+function resolveMedia(value, media) {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveMedia(item, media));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (value.data && typeof value.data === 'object' && value.data.$ref) {
+        return { ...value, data: media.get(value.data.$ref)?.data || '' };
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveMedia(item, media)]));
+}
+
+export class ReplayWebSocket extends EventTarget {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    /**
+     * @param {Object} session - Session returned by parseSession()
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback speed factor, Infinity delivers frames without delay
+     */
+    constructor(session, { speed = 1 } = {}) {
+        super();
+        this.session = session;
+        this.speed = speed;
+        this.readyState = ReplayWebSocket.CONNECTING;
+        this.url = 'replay://session';
+        this.sentCount = 0;
+        this.cursor = 0;            // Index of the next recorded frame
+        this.outboundSeen = 0;      // Outbound frames passed by the cursor
+        this.lastTime = 0;          // Recorded time of the last delivered frame
+        this.timer = null;
+
+        setTimeout(() => {
+            this.readyState = ReplayWebSocket.OPEN;
+            this.dispatchEvent(new Event('open'));
+            this.advance();
+        }, 0);
+    }
+
+    /**
+     * Counts frames sent by the client, which unblocks the inbound frames that followed them in the recording
+     * @param {string} data - Serialized frame
+     */
+    send(data) {
+        if (this.readyState !== ReplayWebSocket.OPEN) {
+            throw new Error('Replay socket is not open');
+        }
+        if (!JSON.parse(data).realtimeInput) {
+            this.sentCount++;
+            this.advance();
+        }
+    }
+
+    /**
+     * Delivers the next inbound frames as far as the client has caught up with the recording
+     * @private
+     */
+    advance() {
+        if (this.timer || this.readyState !== ReplayWebSocket.OPEN) return;
+
+        const { frames } = this.session;
+        while (this.cursor < frames.length && frames[this.cursor].dir === 'out') {
+            if (!frames[this.cursor].message.realtimeInput) {
+                this.outboundSeen++;
+            }
+            this.lastTime = frames[this.cursor].t;
+            this.cursor++;
+        }
+
+        // Stay open after the last frame, closing would make the client reconnect and replay again
+        if (this.cursor >= frames.length || this.sentCount < this.outboundSeen) {
+            return;
+        }
+
+        const frame = frames[this.cursor];
+        const delay = Number.isFinite(this.speed) ? Math.max(0, frame.t - this.lastTime) / this.speed : 0;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.readyState !== ReplayWebSocket.OPEN) return;
+
+            this.cursor++;
+            this.lastTime = frame.t;
+            const message = resolveMedia(frame.message, this.session.media);
+            this.dispatchEvent(new MessageEvent('message', { data: new Blob([JSON.stringify(message)]) }));
+            this.advance();
+        }, delay);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState === ReplayWebSocket.CLOSED) return;
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.readyState = ReplayWebSocket.CLOSED;
+        this.dispatchEvent(new CloseEvent('close', { code, reason, wasClean: true }));
+    }
+}
+
+/**
+ * Creates a webSocketFactory for GeminiWebsocketClient that replays a session instead of connecting
+ * @param {Object} session - Session returned by parseSession()
+ * @param {Object} [options] - ReplayWebSocket options
+ * @returns {Function} Factory returning a new ReplayWebSocket for every connection
+ */
+export function createReplayFactory(session, options = {}) {
+    return () => new ReplayWebSocket(session, options);
+}
@@ -0,0 +1,154 @@
+/**
+ * Records the Live API traffic of a GeminiWebsocketClient into a JSONL session file.
+ * Every outbound and inbound frame is stored with a timestamp relative to the start of the recording.
+ * Audio and image payloads are replaced by references to separate media entries, so the frames
+ * stay readable and media can be left out of the file entirely.
+ *
+ * Session file format, one JSON object per line:
+ *   { "type": "session", "version": 1, "startedAt": "<ISO date>", "name": "<client name>" }
+ *   { "type": "frame", "t": <ms>, "dir": "out" | "in", "message": { ... } }
+ *   { "type": "media", "id": "media-1", "mimeType": "audio/pcm", "data": "<base64>" }
+ */
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Replaces base64 payloads ({ mimeType, data } objects) in a message with media references
+ * @param {any} value - Message or part of a message
+ * @param {Function} store - Called with (mimeType, data), returns the reference id
+ * @returns {any} Copy of the value with payloads replaced by { mimeType, data: { $ref } }
+ */
+function extractMedia(value, store) {
+    if (Array.isArray(value)) {
+        return value.map(item => extractMedia(item, store));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (typeof value.mimeType === 'string' && typeof value.data === 'string') {
+        return { ...value, data: { $ref: store(value.mimeType, value.data) } };
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, extractMedia(item, store)]));
+}
+
+export class SessionRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.includeMedia=true] - Store audio and image payloads in the session file
+     */
+    constructor({ includeMedia = true } = {}) {
+        this.includeMedia = includeMedia;
+        this.frames = [];
+        this.media = new Map();
+        this.nextMediaId = 1;
+        this.startTime = null;
+        this.startedAt = null;
+        this.name = null;
+        this.client = null;
+        this.originalSendJSON = null;
+        this.originalReceive = null;
+    }
+
+    /**
+     * Starts recording the traffic of a client by wrapping its sendJSON() and receive() methods.
+     * Attaching to a new client (e.g. after reconnecting the agent) continues the same recording.
+     * @param {GeminiWebsocketClient} client - Client to record
+     */
+    attach(client) {
+        this.detach();
+
+        if (this.startTime === null) {
+            this.startTime = performance.now();
+            this.startedAt = new Date().toISOString();
+            this.name = client.name;
+        }
+
+        this.client = client;
+        this.originalSendJSON = client.sendJSON;
+        this.originalReceive = client.receive;
+
+        client.sendJSON = async (json, ...rest) => {
+            this.record('out', json);
+            return this.originalSendJSON.call(client, json, ...rest);
+        };
+
+        client.receive = async (blob) => {
+            blob.text()
+                .then(text => this.record('in', JSON.parse(text)))
+                .catch(error => console.warn('Failed to record inbound frame:', error));
+            return this.originalReceive.call(client, blob);
+        };
+    }
+
+    /**
+     * Stops recording and restores the original client methods
+     */
+    detach() {
+        if (!this.client) return;
+
+        this.client.sendJSON = this.originalSendJSON;
+        this.client.receive = this.originalReceive;
+        this.client = null;
+        this.originalSendJSON = null;
+        this.originalReceive = null;
+    }
+
+    /**
+     * Stores a frame with its timestamp
+     * @param {string} dir - 'out' for frames sent to the API, 'in' for frames received from it
+     * @param {Object} message - The frame
+     */
+    record(dir, message) {
+        const t = Math.round(performance.now() - this.startTime);
+        const stripped = extractMedia(message, (mimeType, data) => {
+            const id = `media-${this.nextMediaId++}`;
+            if (this.includeMedia) {
+                this.media.set(id, { mimeType, data });
+            }
+            return id;
+        });
+        this.frames.push({ t, dir, message: stripped });
+    }
+
+    /**
+     * Discards everything recorded so far
+     */
+    clear() {
+        this.frames = [];
+        this.media.clear();
+        this.nextMediaId = 1;
+        this.startTime = this.client ? performance.now() : null;
+        this.startedAt = this.client ? new Date().toISOString() : null;
+    }
+
+    /**
+     * Serializes the recording into the JSONL session format
+     * @returns {string} Session file contents
+     */
+    toJSONL() {
+        const lines = [
+            { type: 'session', version: SESSION_FORMAT_VERSION, startedAt: this.startedAt, name: this.name },
+            ...this.frames.map(frame => ({ type: 'frame', ...frame })),
+            ...[...this.media.entries()].map(([id, { mimeType, data }]) => ({ type: 'media', id, mimeType, data }))
+        ];
+        return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    /**
+     * Downloads the recording as a .jsonl file
+     * @param {string} [filename] - File name, defaults to a timestamped name
+     */
+    download(filename) {
+        const name = filename || `gemini-session-${(this.startedAt || new Date().toISOString()).replace(/[:.]/g, '-')}.jsonl`;
+        const url = URL.createObjectURL(new Blob([this.toJSONL()], { type: 'application/x-ndjson' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.info(`Session with ${this.frames.length} frames downloaded as ${name}`);
+    }
+}
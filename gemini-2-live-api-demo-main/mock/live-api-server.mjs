@@ -0,0 +1,369 @@
+/**
+ * Mock Gemini Live API server for offline development and integration tests
+ * Speaks the BidiGenerateContent protocol over a plain WebSocket, without any dependencies:
+ * - answers `setup` with `setupComplete`
+ * - echoes text turns back, like the real API in the modality the setup asks for: as a text part
+ *   for TEXT, as synthetic PCM audio (a 440 Hz tone) otherwise
+ * - answers `toolResponse` messages with a short turn
+ * - sends the text of audio turns as `outputTranscription` chunks when the setup asks for outputAudioTranscription
+ * - supports slash commands in text turns to trigger scripted server messages:
+ *     /tool <name> [json args]   sends a toolCall for the given function
+ *     /interrupt                 starts streaming audio, then sends `interrupted`
+ *     /goaway                    sends a goAway message
+ *     /close [code] [reason]     closes the connection with the given close code
+ * - optionally loads rules from a JSON file: [{ "when": "<regex>", "send": [<server messages>] }]
+ *
+ * Usage: node mock/live-api-server.mjs [--port 8765] [--script rules.json]
+ * Then set Settings > Live API URL to ws://localhost:8765
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : fallback;
+};
+
+const PORT = parseInt(option('port', process.env.PORT || '8765'));
+const SCRIPT_FILE = option('script', null);
+const SAMPLE_RATE = 24000;
+const CHUNK_MS = 100;
+
+const rules = SCRIPT_FILE ? JSON.parse(readFileSync(SCRIPT_FILE, 'utf8')) : [];
+
+/**
+ * Minimal WebSocket connection on top of a raw socket (RFC 6455, no extensions)
+ */
+class MockSocket {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.open = true;
+
+        socket.on('data', (data) => {
+            this.buffer = Buffer.concat([this.buffer, data]);
+            this.readFrames();
+        });
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    readFrames() {
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (this.buffer.length < offset + length) return;
+
+            const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+            if (masked) {
+                const mask = this.buffer.subarray(maskOffset, maskOffset + 4);
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode === 0x8) {
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return;
+            }
+            if (opcode === 0x9) {
+                this.sendFrame(0xA, payload);
+                continue;
+            }
+            if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+                this.fragments.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(message);
+                }
+            }
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (!this.open) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Sends a JSON message as a binary frame, like the real API does (browsers receive it as a Blob)
+     */
+    sendJSON(message) {
+        this.sendFrame(0x2, Buffer.from(JSON.stringify(message)));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(0x8, payload);
+        this.open = false;
+        this.socket.end();
+        this.onClose(code, reason);
+    }
+
+    handleClose() {
+        if (!this.open) return;
+        this.open = false;
+        this.onClose(1006, '');
+    }
+}
+
+/**
+ * Generates base64 PCM16 chunks of a sine tone
+ * @param {number} durationMs - Tone duration
+ * @param {number} [frequency=440] - Tone frequency in Hz
+ * @returns {Array<string>} Base64 chunks of CHUNK_MS each
+ */
+function toneChunks(durationMs, frequency = 440) {
+    const chunks = [];
+    const samplesPerChunk = SAMPLE_RATE * CHUNK_MS / 1000;
+    const totalChunks = Math.ceil(durationMs / CHUNK_MS);
+
+    for (let c = 0; c < totalChunks; c++) {
+        const buffer = Buffer.alloc(samplesPerChunk * 2);
+        for (let i = 0; i < samplesPerChunk; i++) {
+            const t = (c * samplesPerChunk + i) / SAMPLE_RATE;
+            buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * t) * 0.2 * 32767), i * 2);
+        }
+        chunks.push(buffer.toString('base64'));
+    }
+    return chunks;
+}
+
+const audioPart = (data) => ({ inlineData: { mimeType: `audio/pcm;rate=${SAMPLE_RATE}`, data } });
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One Live API session
+ */
+class MockSession {
+    constructor(socket, id) {
+        this.socket = socket;
+        this.id = id;
+        this.setup = null;
+        this.nextCallId = 1;
+        this.streaming = null;      // Token of the audio stream currently being sent
+        this.audioChunksReceived = 0;
+        this.promptTokens = 0;
+    }
+
+    log(...message) {
+        console.log(`[session ${this.id}]`, ...message);
+    }
+
+    async handle(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            this.log('invalid JSON received');
+            this.socket.close(1007, 'Invalid JSON payload');
+            return;
+        }
+
+        if (message.setup) {
+            this.setup = message.setup;
+            this.log(`setup for ${message.setup.model}`);
+            this.socket.sendJSON({ setupComplete: {} });
+            return;
+        }
+        if (!this.setup) {
+            this.socket.close(1008, 'Setup message must be sent first');
+            return;
+        }
+
+        if (message.realtimeInput) {
+            this.audioChunksReceived += (message.realtimeInput.mediaChunks || []).length;
+            if (message.realtimeInput.activityEnd) {
+                await this.respond(`I received ${this.audioChunksReceived} media chunks.`);
+            }
+            return;
+        }
+
+        if (message.toolResponse) {
+            const responses = message.toolResponse.functionResponses || [];
+            this.log(`tool responses for ${responses.map(r => r.id).join(', ')}`);
+            const summary = responses.map(r => `${r.id}: ${JSON.stringify(r.response)}`).join('; ');
+            await this.respond(`Tool results received. ${summary}`);
+            return;
+        }
+
+        if (message.clientContent) {
+            const turns = message.clientContent.turns || [];
+            const lastTurn = turns[turns.length - 1];
+            const parts = lastTurn ? [].concat(lastTurn.parts || []) : [];
+            const userText = parts.map(part => part.text || '').join('').trim();
+            this.promptTokens += Math.ceil(userText.length / 4);
+
+            if (message.clientContent.turnComplete === false) return;
+            await this.handleText(userText);
+        }
+    }
+
+    async handleText(userText) {
+        this.log(`text: ${userText}`);
+
+        const rule = rules.find(r => new RegExp(r.when).test(userText));
+        if (rule) {
+            for (const serverMessage of rule.send) {
+                this.socket.sendJSON(serverMessage);
+                await delay(CHUNK_MS);
+            }
+            return;
+        }
+
+        const [command, ...rest] = userText.split(' ');
+        switch (command) {
+            case '/tool': {
+                const [name, ...argText] = rest;
+                const callArgs = argText.length ? JSON.parse(argText.join(' ')) : {};
+                this.socket.sendJSON({
+                    toolCall: { functionCalls: [{ id: `call-${this.nextCallId++}`, name, args: callArgs }] }
+                });
+                return;
+            }
+            case '/interrupt': {
+                const stream = this.streamAudio(3000);
+                await delay(500);
+                this.streaming = null;
+                await stream;
+                this.socket.sendJSON({ serverContent: { interrupted: true } });
+                return;
+            }
+            case '/goaway':
+                this.socket.sendJSON({ goAway: { timeLeft: '10s' } });
+                return;
+            case '/close':
+                this.socket.close(parseInt(rest[0] || '1011'), rest.slice(1).join(' ') || 'Closed by mock server');
+                return;
+            default:
+                await this.respond(userText ? `You said: ${userText}` : 'Hello from the mock Live API server.');
+        }
+    }
+
+    /**
+     * Whether the setup asks for audio responses, the Live API's default
+     */
+    get respondsWithAudio() {
+        const modalities = this.setup.generationConfig?.responseModalities || ['AUDIO'];
+        return modalities.some(modality => modality.toUpperCase() === 'AUDIO');
+    }
+
+    /**
+     * Sends a model turn, followed by turnComplete and usage metadata. Like the real API, an audio
+     * turn has no text part, its text only comes as the transcription if the setup asks for one.
+     */
+    async respond(text) {
+        if (this.respondsWithAudio) {
+            if (this.setup.outputAudioTranscription) {
+                text.match(/\s*\S+/g)?.forEach((word) => {
+                    this.socket.sendJSON({ serverContent: { outputTranscription: { text: word } } });
+                });
+            }
+            await this.streamAudio(Math.min(3000, 400 + text.length * 20));
+        } else {
+            this.socket.sendJSON({ serverContent: { modelTurn: { parts: [{ text }] } } });
+        }
+        this.socket.sendJSON({ serverContent: { turnComplete: true } });
+
+        const responseTokens = Math.ceil(text.length / 4);
+        this.socket.sendJSON({
+            usageMetadata: {
+                promptTokenCount: this.promptTokens,
+                responseTokenCount: responseTokens,
+                totalTokenCount: this.promptTokens + responseTokens
+            }
+        });
+    }
+
+    /**
+     * Streams a tone in real time, stops early when this.streaming is reset
+     */
+    async streamAudio(durationMs) {
+        const token = {};
+        this.streaming = token;
+        for (const chunk of toneChunks(durationMs)) {
+            if (this.streaming !== token || !this.socket.open) return;
+            this.socket.sendJSON({ serverContent: { modelTurn: { parts: [audioPart(chunk)] } } });
+            await delay(CHUNK_MS);
+        }
+        if (this.streaming === token) this.streaming = null;
+    }
+}
+
+let sessionCount = 0;
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This endpoint only accepts WebSocket connections');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const id = ++sessionCount;
+    let session = null;
+    const mockSocket = new MockSocket(
+        socket,
+        (message) => session.handle(message).catch(error => console.error(`[session ${id}]`, error)),
+        (code, reason) => console.log(`[session ${id}] closed (${code}${reason ? `: ${reason}` : ''})`)
+    );
+    session = new MockSession(mockSocket, id);
+    console.log(`[session ${id}] connected: ${req.url}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock Live API server listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,234 @@
+/**
+ * Mock MCP server for offline development
+ * Speaks MCP JSON-RPC over Streamable HTTP (POST /mcp) and the older HTTP+SSE
+ * transport (GET /sse + POST /messages). Serves a small in-memory filesystem
+ * so the MCP client, the tool bridge and the agent can be exercised without any real server.
+ *
+ * Usage: node mock/mcp-server.mjs [port]   (default port 3001)
+ * Then add http://localhost:3001/mcp (or http://localhost:3001/sse) under Settings > MCP Servers.
+ */
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '3001');
+const PROTOCOL_VERSION = '2025-03-26';
+
+// In-memory filesystem served by the file tools and as resources
+const files = new Map([
+    ['/notes/todo.md', '# Todo\n- Record a demo video\n- Review MCP integration'],
+    ['/notes/ideas.md', '# Ideas\n- Annotate screenshots before asking the model'],
+    ['/README.txt', 'This is the mock MCP filesystem.']
+]);
+
+const tools = [
+    {
+        name: 'echo',
+        description: 'Echo the given text back',
+        inputSchema: {
+            type: 'object',
+            properties: { text: { type: 'string', description: 'Text to echo' } },
+            required: ['text']
+        },
+        run: ({ text }) => text
+    },
+    {
+        name: 'list_files',
+        description: 'List the files of the mock filesystem, optionally below a directory',
+        inputSchema: {
+            type: 'object',
+            properties: { directory: { type: 'string', description: 'Directory to list, e.g. /notes' } }
+        },
+        run: ({ directory = '/' }) => [...files.keys()].filter(path => path.startsWith(directory)).join('\n')
+    },
+    {
+        name: 'read_file',
+        description: 'Read a file of the mock filesystem',
+        inputSchema: {
+            type: 'object',
+            properties: { path: { type: 'string', description: 'Absolute file path' } },
+            required: ['path']
+        },
+        run: ({ path }) => {
+            if (!files.has(path)) throw new Error(`No such file: ${path}`);
+            return files.get(path);
+        }
+    },
+    {
+        name: 'slow_task',
+        description: 'Wait for the given number of seconds, useful to test cancellation',
+        inputSchema: {
+            type: 'object',
+            properties: { seconds: { type: 'number', description: 'Seconds to wait' } },
+            required: ['seconds']
+        },
+        run: ({ seconds }) => new Promise(resolve => setTimeout(() => resolve(`Waited ${seconds} seconds`), seconds * 1000))
+    }
+];
+
+const prompts = [
+    {
+        name: 'summarize_notes',
+        description: 'Summarize all notes of the mock filesystem',
+        arguments: []
+    }
+];
+
+/**
+ * Handle one JSON-RPC message
+ * @param {Object} message - JSON-RPC request or notification
+ * @returns {Promise<Object|null>} JSON-RPC response, or null for notifications
+ */
+async function handleMessage(message) {
+    const { id, method, params = {} } = message;
+    if (id === undefined) {
+        console.log(`notification: ${method}`);
+        return null;
+    }
+    console.log(`request ${id}: ${method}`);
+
+    const result = (value) => ({ jsonrpc: '2.0', id, result: value });
+    const error = (code, text) => ({ jsonrpc: '2.0', id, error: { code, message: text } });
+
+    switch (method) {
+        case 'initialize':
+            return result({
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: { tools: {}, resources: {}, prompts: {} },
+                serverInfo: { name: 'mock-mcp-server', version: '1.0.0' }
+            });
+        case 'ping':
+            return result({});
+        case 'tools/list':
+            return result({ tools: tools.map(({ run, ...tool }) => tool) });
+        case 'tools/call': {
+            const tool = tools.find(t => t.name === params.name);
+            if (!tool) return error(-32602, `Unknown tool: ${params.name}`);
+            try {
+                const text = await tool.run(params.arguments || {});
+                return result({ content: [{ type: 'text', text }], isError: false });
+            } catch (toolError) {
+                return result({ content: [{ type: 'text', text: toolError.message }], isError: true });
+            }
+        }
+        case 'resources/list':
+            return result({
+                resources: [...files.keys()].map(path => ({
+                    uri: `file://${path}`,
+                    name: path.split('/').pop(),
+                    mimeType: 'text/plain'
+                }))
+            });
+        case 'resources/read': {
+            const path = (params.uri || '').replace('file://', '');
+            if (!files.has(path)) return error(-32002, `Resource not found: ${params.uri}`);
+            return result({ contents: [{ uri: params.uri, mimeType: 'text/plain', text: files.get(path) }] });
+        }
+        case 'prompts/list':
+            return result({ prompts });
+        default:
+            return error(-32601, `Method not found: ${method}`);
+    }
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<any>} Parsed body
+ */
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body));
+            } catch (parseError) {
+                reject(parseError);
+            }
+        });
+    });
+}
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, Mcp-Session-Id',
+    'Access-Control-Expose-Headers': 'Mcp-Session-Id'
+};
+
+// Open HTTP+SSE streams by session id
+const sseSessions = new Map();
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders).end();
+        return;
+    }
+
+    try {
+        // Streamable HTTP transport
+        if (url.pathname === '/mcp' && req.method === 'POST') {
+            const body = await readJSON(req);
+            const messages = Array.isArray(body) ? body : [body];
+            const responses = (await Promise.all(messages.map(handleMessage))).filter(Boolean);
+
+            const headers = { ...corsHeaders };
+            if (messages.some(message => message.method === 'initialize')) {
+                headers['Mcp-Session-Id'] = randomUUID();
+            }
+            if (!responses.length) {
+                res.writeHead(202, headers).end();
+                return;
+            }
+            res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(Array.isArray(body) ? responses : responses[0]));
+            return;
+        }
+
+        if (url.pathname === '/mcp' && req.method === 'DELETE') {
+            res.writeHead(200, corsHeaders).end();
+            return;
+        }
+
+        // HTTP+SSE transport: open the event stream and announce the message endpoint
+        if (url.pathname === '/sse' && req.method === 'GET') {
+            const sessionId = randomUUID();
+            res.writeHead(200, {
+                ...corsHeaders,
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+            sseSessions.set(sessionId, res);
+            req.on('close', () => sseSessions.delete(sessionId));
+            return;
+        }
+
+        if (url.pathname === '/messages' && req.method === 'POST') {
+            const stream = sseSessions.get(url.searchParams.get('sessionId'));
+            if (!stream) {
+                res.writeHead(404, corsHeaders).end('Unknown session');
+                return;
+            }
+            const response = await handleMessage(await readJSON(req));
+            res.writeHead(202, corsHeaders).end();
+            if (response) {
+                stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+            }
+            return;
+        }
+
+        res.writeHead(404, corsHeaders).end('Not found');
+    } catch (requestError) {
+        console.error('Request failed:', requestError);
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock MCP server listening on http://localhost:${PORT}/mcp (Streamable HTTP) and http://localhost:${PORT}/sse (HTTP+SSE)`);
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests that a model turn of the mock Live API server ends up as exactly one stored message.
+ * Needs a global WebSocket (Node 22 or later). Run with `node --test test/*.test.mjs`.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { EventEmitter, once } from 'node:events';
+
+import { ConversationLogger } from '../js/history/conversation-logger.js';
+
+const PORT = 8791;
+const skip = typeof WebSocket === 'undefined' && 'needs a global WebSocket (Node 22 or later)';
+
+let server;
+
+before(async () => {
+    if (skip) return;
+    server = spawn(process.execPath, ['mock/live-api-server.mjs', '--port', String(PORT)], {
+        cwd: new URL('..', import.meta.url),
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    // Wait until the server listens, its later log lines are dropped
+    await new Promise((resolve) => {
+        server.stdout.on('data', (chunk) => {
+            if (String(chunk).includes('listening')) resolve();
+        });
+    });
+});
+
+after(() => server?.kill());
+
+/**
+ * Sends one text turn to the mock server and relays its reply to a ConversationLogger the way the
+ * agent's client does: text parts as 'model_text', outputTranscription as 'transcription'
+ * @param {Object} generationConfig - generationConfig of the setup
+ * @param {string} text - Text of the user's turn
+ * @returns {Promise<Array<Object>>} Messages written to the store
+ */
+async function storeTurn(generationConfig, text) {
+    const messages = [];
+    const store = {
+        createConversation: async () => ({ id: 'conversation' }),
+        addMessage: async (conversationId, message) => { messages.push(message); }
+    };
+    const agent = new EventEmitter();
+    const logger = new ConversationLogger(store);
+    logger.attach(agent);
+
+    const socket = new WebSocket(`ws://localhost:${PORT}`);
+    await once(socket, 'open');
+    socket.send(JSON.stringify({ setup: { model: 'models/test', outputAudioTranscription: {}, generationConfig } }));
+
+    await new Promise((resolve, reject) => {
+        socket.addEventListener('error', reject);
+        socket.addEventListener('message', async (event) => {
+            const message = JSON.parse(typeof event.data === 'string' ? event.data : await event.data.text());
+            if (message.setupComplete) {
+                agent.emit('text_sent', text);
+                socket.send(JSON.stringify({ clientContent: { turns: [{ role: 'user', parts: [{ text }] }], turnComplete: true } }));
+                return;
+            }
+            const content = message.serverContent;
+            if (!content) return;
+            content.modelTurn?.parts.filter(part => part.text).forEach(part => agent.emit('model_text', part.text));
+            if (content.outputTranscription) {
+                agent.emit('transcription', { text: content.outputTranscription.text });
+            }
+            if (content.turnComplete) {
+                agent.emit('turn_complete');
+                resolve();
+            }
+        });
+    });
+    socket.close();
+
+    await logger.writeQueue;
+    return messages;
+}
+
+test('stores an audio turn once, from its transcription', { skip }, async () => {
+    const messages = await storeTurn({ responseModalities: ['audio'] }, 'hello');
+    assert.deepEqual(messages.map(({ role, type, text }) => ({ role, type, text })), [
+        { role: 'user', type: 'text', text: 'hello' },
+        { role: 'model', type: 'text', text: 'You said: hello' }
+    ]);
+});
+
+test('stores a text turn once, from its text part', { skip }, async () => {
+    const messages = await storeTurn({ responseModalities: ['TEXT'] }, 'hello');
+    assert.deepEqual(messages.map(({ role, type, text }) => ({ role, type, text })), [
+        { role: 'user', type: 'text', text: 'hello' },
+        { role: 'model', type: 'text', text: 'You said: hello' }
+    ]);
+});
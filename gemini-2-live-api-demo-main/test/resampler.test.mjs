@@ -0,0 +1,90 @@
+/**
+ * Tests of the microphone resampler with synthetic sine waves.
+ * Run with `node --test test/*.test.mjs`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Resampler } from '../js/audio/worklets/resampler.js';
+
+const DURATION = 1;         // Seconds of audio per test
+const SETTLE_TIME = 0.05;   // Seconds skipped at the start, the output lags by half the kernel width
+const BLOCK_SIZE = 128;     // Render quantum of an AudioWorklet
+
+/**
+ * Resamples a sine wave block by block, like the recorder worklet does
+ * @param {number} inputRate - Sample rate of the sine wave
+ * @param {number} outputRate - Sample rate to convert to
+ * @param {number} frequency - Frequency of the sine wave in Hz
+ * @returns {Float32Array} Resampled audio without the settling time
+ */
+function resampleSine(inputRate, outputRate, frequency) {
+    const resampler = new Resampler(inputRate, outputRate);
+    const input = new Float32Array(Math.round(inputRate * DURATION));
+    input.forEach((_, i) => { input[i] = Math.sin(2 * Math.PI * frequency * i / inputRate); });
+
+    const output = [];
+    for (let offset = 0; offset < input.length; offset += BLOCK_SIZE) {
+        output.push(...resampler.process(input.subarray(offset, offset + BLOCK_SIZE)));
+    }
+    return Float32Array.from(output.slice(Math.round(outputRate * SETTLE_TIME)));
+}
+
+/**
+ * @param {Float32Array} samples - Audio
+ * @param {number} sampleRate - Its sample rate
+ * @returns {number} Frequency estimated from the interpolated rising zero crossings
+ */
+function measureFrequency(samples, sampleRate) {
+    const crossings = [];
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) {
+            crossings.push(i - 1 + samples[i - 1] / (samples[i - 1] - samples[i]));
+        }
+    }
+    const periods = crossings.length - 1;
+    return periods * sampleRate / (crossings[periods] - crossings[0]);
+}
+
+/**
+ * @param {Float32Array} samples - Audio
+ * @returns {number} Peak amplitude of a sine wave with the same RMS
+ */
+function measureAmplitude(samples) {
+    const power = samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length;
+    return Math.sqrt(2 * power);
+}
+
+for (const inputRate of [48000, 44100]) {
+    test(`keeps the frequency and amplitude of an in-band tone from ${inputRate} Hz to 16 kHz`, () => {
+        for (const frequency of [440, 1000, 3000]) {
+            const output = resampleSine(inputRate, 16000, frequency);
+            const measured = measureFrequency(output, 16000);
+            assert.ok(Math.abs(measured - frequency) / frequency < 0.001, `${frequency} Hz came out as ${measured.toFixed(2)} Hz`);
+            const amplitude = measureAmplitude(output);
+            assert.ok(Math.abs(amplitude - 1) < 0.02, `${frequency} Hz came out with amplitude ${amplitude.toFixed(3)}`);
+        }
+    });
+
+    test(`attenuates a tone above the output Nyquist frequency from ${inputRate} Hz to 16 kHz`, () => {
+        // Without filtering, 12 kHz would fold back to 4 kHz
+        const output = resampleSine(inputRate, 16000, 12000);
+        const amplitude = measureAmplitude(output);
+        assert.ok(amplitude < 0.01, `12 kHz came out with amplitude ${amplitude.toFixed(4)}, expected below -40 dB`);
+    });
+}
+
+test('gives the same output for any block size', () => {
+    const input = new Float32Array(44100);
+    input.forEach((_, i) => { input[i] = Math.sin(2 * Math.PI * 1000 * i / 44100); });
+
+    const whole = Float32Array.from(new Resampler(44100, 16000).process(input));
+    const resampler = new Resampler(44100, 16000);
+    const blocks = [];
+    for (let offset = 0; offset < input.length; offset += 100) {
+        blocks.push(...resampler.process(input.subarray(offset, offset + 100)));
+    }
+
+    assert.equal(blocks.length, whole.length);
+    blocks.forEach((sample, i) => assert.ok(Math.abs(sample - whole[i]) < 1e-6, `sample ${i} differs`));
+});